@@ -0,0 +1,162 @@
+// Argument parsing for /predict subcommands. Each command declares its arguments
+// ({ name, type, optional?, prefix?, choices? }) and the input is matched against them
+// in order; usage lines and mismatch messages come from the same declarations.
+const { MIN_SALE_FRACTION } = require('./lmsr');
+
+// Argument types for /predict subcommands. `parse` gets one token (without the argument's
+// prefix) and returns its value, or undefined when the token doesn't fit.
+const BET_CONFIDENCE_WORDS = { likely: 75, unlikely: 25, certain: 95, impossible: 5 };
+
+function parsePercent(token) {
+  const word = BET_CONFIDENCE_WORDS[token.toLowerCase()];
+  if (word) return word / 100;
+  if (!/^\d+(?:\.\d+)?%?$/.test(token)) return undefined;
+  const value = parseFloat(token);
+  return value > 1 ? value / 100 : value;
+}
+
+const ARG_TYPES = {
+  market: {
+    expected: 'a market ID like `market_123`',
+    parse: (token) => /^market_\w+$/.test(token) ? token : undefined
+  },
+  percent: {
+    expected: 'a probability like `75` or `75%`',
+    parse: parsePercent
+  },
+  // What a bet says: one probability, odds for every outcome ("50/30/20") or an interval
+  // around a best guess on numeric markets ("80..200")
+  forecast: {
+    expected: 'a probability like `75`, odds for every outcome like `50/30/20`, or an interval like `80..200`',
+    parse: (token) => {
+      const range = token.match(/^(\S+?)\.\.(\S+)$/);
+      if (range) return { low: range[1], high: range[2] };
+      if (token.includes('/')) {
+        const values = token.split('/').map(p => /^\d+(?:\.\d+)?%?$/.test(p) ? parseFloat(p) : NaN);
+        if (values.some(isNaN)) return undefined;
+        const scale = values.some(p => p > 1) ? 100 : 1;
+        return { probabilities: values.map(p => p / scale) };
+      }
+      const probability = parsePercent(token);
+      return probability === undefined ? undefined : { probability };
+    }
+  },
+  money: {
+    expected: 'a whole dollar amount like `50`',
+    parse: (token) => /^\$?\d+$/.test(token) && parseInt(token.replace('$', '')) > 0 ? parseInt(token.replace('$', '')) : undefined
+  },
+  // Signed, for credits and debits
+  amount: {
+    expected: 'a dollar amount like `+50` or `-20`',
+    parse: (token) => /^[+-]?\$?\d+$/.test(token) && parseInt(token.replace('$', '')) !== 0 ? parseInt(token.replace('$', '')) : undefined
+  },
+  user: {
+    expected: 'an @mention',
+    parse: (token) => {
+      const match = token.match(/^<@(\w+)(?:\|[^>]*)?>$/);
+      return match ? match[1] : undefined;
+    }
+  },
+  date: {
+    expected: 'a date like `2025-06-20`',
+    parse: (token) => {
+      const date = /^\d{4}-\d{2}-\d{2}$/.test(token) ? new Date(`${token}T00:00:00Z`) : null;
+      return date && !isNaN(date) ? date : undefined;
+    }
+  },
+  // Part of a position: `50%`, `0.5`, `half` or `all`
+  fraction: {
+    expected: 'a portion from `1%` to `100%`, like `50%`, `half` or `all`',
+    parse: (token) => {
+      const word = { all: 1, half: 0.5 }[token.toLowerCase()];
+      if (word) return word;
+      if (!/^\d+(?:\.\d+)?%?$/.test(token)) return undefined;
+      const value = token.endsWith('%') || parseFloat(token) > 1 ? parseFloat(token) / 100 : parseFloat(token);
+      return value >= MIN_SALE_FRACTION && value <= 1 ? value : undefined;
+    }
+  },
+  // Zero allowed, for settings that 0 turns off
+  whole: {
+    expected: 'a whole number like `50` or `0`',
+    parse: (token) => /^\$?\d+$/.test(token) ? parseInt(token.replace('$', '')) : undefined
+  },
+  // `aliases` map other accepted words onto the choices
+  choice: {
+    expected: (arg) => `one of ${arg.choices.map(c => `\`${c}\``).join(', ')}`,
+    parse: (token, arg) => arg.choices.find(c => c === token.toLowerCase()) || (arg.aliases || {})[token.toLowerCase()]
+  },
+  word: {
+    expected: 'a word',
+    parse: (token) => token
+  },
+  // The rest of the input, spaces and all. Only valid as the last argument.
+  text: {
+    expected: 'some text',
+    parse: (token) => token
+  }
+};
+
+function formatArgUsage(arg) {
+  const label = `${arg.prefix || ''}${arg.type === 'choice' && !arg.prefix ? arg.choices.join('|') : arg.name}`;
+  return arg.optional ? `[${label}]` : `<${label}>`;
+}
+
+function formatCommandUsage(command) {
+  return [`/predict ${command.name}`, ...command.args.map(formatArgUsage)].join(' ');
+}
+
+function describeArgMismatch(arg, token) {
+  const type = ARG_TYPES[arg.type];
+  return `\`${token}\` isn't ${typeof type.expected === 'function' ? type.expected(arg) : type.expected}`;
+}
+
+// Match input against a command's arguments, in order. An optional argument is only taken
+// when its token fits and enough tokens are left for the required arguments after it.
+function parseCommandArgs(command, input) {
+  const tokens = input.split(/\s+/).filter(Boolean);
+  const args = {};
+  let next = 0;
+  // The last optional argument passed over, to explain a leftover token
+  let skipped = null;
+
+  for (const [index, arg] of command.args.entries()) {
+    const type = ARG_TYPES[arg.type];
+
+    if (arg.type === 'text') {
+      const rest = tokens.slice(next).join(' ');
+      if (!rest && !arg.optional) return { error: `Missing \`${formatArgUsage(arg)}\`` };
+      if (rest) args[arg.name] = rest;
+      next = tokens.length;
+      continue;
+    }
+
+    const token = tokens[next];
+    const fitsPrefix = token !== undefined && (!arg.prefix || token.toLowerCase().startsWith(arg.prefix));
+    const value = fitsPrefix ? type.parse(token.slice(arg.prefix ? arg.prefix.length : 0), arg) : undefined;
+
+    if (arg.optional) {
+      const requiredAfter = command.args.slice(index + 1).filter(a => !a.optional).length;
+      if (value !== undefined && tokens.length - next > requiredAfter) {
+        args[arg.name] = value;
+        next++;
+        skipped = null;
+      } else if (token !== undefined && value === undefined) {
+        skipped = arg;
+      }
+      continue;
+    }
+
+    if (token === undefined) return { error: `Missing \`${formatArgUsage(arg)}\`` };
+    if (value === undefined) return { error: describeArgMismatch(arg, token) };
+    args[arg.name] = value;
+    next++;
+    skipped = null;
+  }
+
+  if (next < tokens.length) {
+    return { error: skipped ? describeArgMismatch(skipped, tokens[next]) : `Unexpected \`${tokens.slice(next).join(' ')}\`` };
+  }
+  return { args };
+}
+
+module.exports = { ARG_TYPES, formatArgUsage, formatCommandUsage, parseCommandArgs };
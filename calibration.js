@@ -0,0 +1,69 @@
+// Calibration. Every resolved forecast becomes (probability, happened) pairs: one for a
+// yes/no market and one per outcome for multiple choice.
+const { MIN_SCORED_PROBABILITY } = require('./scoring');
+
+const CALIBRATION_BUCKETS = 10;
+
+function forecastsToPairs(forecasts) {
+    return forecasts.flatMap(forecast => {
+        if (forecast.market_type === 'categorical' && forecast.probabilities) {
+            return forecast.probabilities.map((p, i) => ({ p: parseFloat(p), happened: i === forecast.winning_outcome }));
+        }
+        return [{ p: parseFloat(forecast.probability), happened: forecast.resolution === true }];
+    });
+}
+
+// Brier and log score plus the Murphy decomposition of the Brier score over 10% buckets:
+// brier ≈ reliability - resolution + uncertainty. Reliability is how far each bucket's
+// forecasts sit from what actually happened (lower is better); resolution is how far
+// the buckets' outcomes spread from the base rate (higher is better).
+function calculateCalibration(forecasts) {
+    const pairs = forecastsToPairs(forecasts);
+    const n = pairs.length;
+    if (n === 0) return null;
+    
+    const baseRate = pairs.filter(pair => pair.happened).length / n;
+    const brier = pairs.reduce((sum, pair) => sum + (pair.p - (pair.happened ? 1 : 0)) ** 2, 0) / n;
+    const logScore = pairs.reduce((sum, pair) => {
+        const p = Math.min(Math.max(pair.p, MIN_SCORED_PROBABILITY), 1 - MIN_SCORED_PROBABILITY);
+        return sum + Math.log(pair.happened ? p : 1 - p);
+    }, 0) / n;
+    
+    const buckets = Array.from({ length: CALIBRATION_BUCKETS }, (_, i) => ({
+        low: i / CALIBRATION_BUCKETS,
+        high: (i + 1) / CALIBRATION_BUCKETS,
+        count: 0,
+        forecastSum: 0,
+        happened: 0
+    }));
+    for (const pair of pairs) {
+        const bucket = buckets[Math.min(Math.floor(pair.p * CALIBRATION_BUCKETS), CALIBRATION_BUCKETS - 1)];
+        bucket.count += 1;
+        bucket.forecastSum += pair.p;
+        bucket.happened += pair.happened ? 1 : 0;
+    }
+    
+    let reliability = 0;
+    let resolution = 0;
+    for (const bucket of buckets) {
+        if (bucket.count === 0) continue;
+        bucket.predicted = bucket.forecastSum / bucket.count;
+        bucket.observed = bucket.happened / bucket.count;
+        reliability += bucket.count * (bucket.predicted - bucket.observed) ** 2 / n;
+        resolution += bucket.count * (bucket.observed - baseRate) ** 2 / n;
+    }
+    
+    return {
+        forecasts: forecasts.length,
+        count: n,
+        baseRate,
+        brier,
+        logScore,
+        reliability,
+        resolution,
+        uncertainty: baseRate * (1 - baseRate),
+        buckets: buckets.filter(bucket => bucket.count > 0)
+    };
+}
+
+module.exports = { CALIBRATION_BUCKETS, calculateCalibration };
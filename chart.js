@@ -0,0 +1,278 @@
+// Small server-side chart renderer. Draws into an RGB pixel buffer and encodes it as
+// PNG with Node's zlib, so charts need no native modules or external chart service.
+const zlib = require('zlib');
+
+const COLORS = {
+  background: [255, 255, 255],
+  grid: [226, 230, 234],
+  axis: [120, 124, 130],
+  text: [80, 84, 90],
+  volume: [196, 214, 236],
+  yes: [46, 160, 67],
+  no: [218, 54, 51]
+};
+
+// Line colours for each series, paired with the emoji used to label them in Slack text
+const SERIES_PALETTE = [
+  { color: [29, 155, 209], emoji: '🔵' },
+  { color: [236, 142, 36], emoji: '🟠' },
+  { color: [46, 160, 67], emoji: '🟢' },
+  { color: [218, 54, 51], emoji: '🔴' },
+  { color: [130, 80, 223], emoji: '🟣' },
+  { color: [139, 94, 60], emoji: '🟤' },
+  { color: [230, 195, 30], emoji: '🟡' },
+  { color: [40, 40, 40], emoji: '⚫' }
+];
+
+// 3x5 pixel glyphs for axis labels, one row per string, '1' = ink
+const GLYPHS = {
+  '0': ['111', '101', '101', '101', '111'],
+  '1': ['010', '110', '010', '010', '111'],
+  '2': ['111', '001', '111', '100', '111'],
+  '3': ['111', '001', '111', '001', '111'],
+  '4': ['101', '101', '111', '001', '001'],
+  '5': ['111', '100', '111', '001', '111'],
+  '6': ['111', '100', '111', '101', '111'],
+  '7': ['111', '001', '010', '010', '010'],
+  '8': ['111', '101', '111', '101', '111'],
+  '9': ['111', '101', '111', '001', '111'],
+  '%': ['101', '001', '010', '100', '101'],
+  '$': ['011', '110', '010', '011', '110'],
+  '-': ['000', '000', '111', '000', '000'],
+  '.': ['000', '000', '000', '000', '010'],
+  ',': ['000', '000', '000', '010', '100'],
+  ':': ['000', '010', '000', '010', '000'],
+  '/': ['001', '001', '010', '100', '100'],
+  'k': ['100', '101', '110', '101', '101'],
+  'M': ['101', '111', '111', '101', '101'],
+  ' ': ['000', '000', '000', '000', '000']
+};
+const FONT_SCALE = 2;
+const GLYPH_WIDTH = 4 * FONT_SCALE;
+
+function createImage(width, height, background = COLORS.background) {
+  const data = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < data.length; i += 3) {
+    data[i] = background[0];
+    data[i + 1] = background[1];
+    data[i + 2] = background[2];
+  }
+  return { width, height, data };
+}
+
+function setPixel(image, x, y, color) {
+  x = Math.round(x);
+  y = Math.round(y);
+  if (x < 0 || y < 0 || x >= image.width || y >= image.height) return;
+  const offset = (y * image.width + x) * 3;
+  image.data[offset] = color[0];
+  image.data[offset + 1] = color[1];
+  image.data[offset + 2] = color[2];
+}
+
+function fillRect(image, x, y, width, height, color) {
+  for (let dy = 0; dy < height; dy++) {
+    for (let dx = 0; dx < width; dx++) {
+      setPixel(image, x + dx, y + dy, color);
+    }
+  }
+}
+
+// Bresenham line, stamped with a square brush for thickness. `dash` skips every other run of pixels.
+function drawLine(image, x0, y0, x1, y1, color, thickness = 1, dash = 0) {
+  x0 = Math.round(x0); y0 = Math.round(y0); x1 = Math.round(x1); y1 = Math.round(y1);
+  const dx = Math.abs(x1 - x0);
+  const dy = -Math.abs(y1 - y0);
+  const sx = x0 < x1 ? 1 : -1;
+  const sy = y0 < y1 ? 1 : -1;
+  const offset = Math.floor((thickness - 1) / 2);
+  let error = dx + dy;
+  let step = 0;
+
+  while (true) {
+    if (!dash || Math.floor(step / dash) % 2 === 0) {
+      fillRect(image, x0 - offset, y0 - offset, thickness, thickness, color);
+    }
+    if (x0 === x1 && y0 === y1) break;
+    const e2 = 2 * error;
+    if (e2 >= dy) { error += dy; x0 += sx; }
+    if (e2 <= dx) { error += dx; y0 += sy; }
+    step++;
+  }
+}
+
+function textWidth(text) {
+  return text.length * GLYPH_WIDTH - FONT_SCALE;
+}
+
+// Characters without a glyph are drawn as blanks
+function drawText(image, x, y, text, color = COLORS.text) {
+  [...text].forEach((char, i) => {
+    const glyph = GLYPHS[char] || GLYPHS[' '];
+    glyph.forEach((row, gy) => {
+      [...row].forEach((bit, gx) => {
+        if (bit === '1') {
+          fillRect(image, x + i * GLYPH_WIDTH + gx * FONT_SCALE, y + gy * FONT_SCALE, FONT_SCALE, FONT_SCALE, color);
+        }
+      });
+    });
+  });
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// 8-bit RGB, no interlacing, every scanline stored with filter type 0
+function encodePNG(image) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(image.width, 0);
+  header.writeUInt32BE(image.height, 4);
+  header[8] = 8;
+  header[9] = 2;
+
+  const stride = image.width * 3;
+  const raw = Buffer.alloc((stride + 1) * image.height);
+  for (let y = 0; y < image.height; y++) {
+    image.data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// Month/day in the viewer's timezone rather than the server's
+function formatDateLabel(t, timeZone) {
+  return new Intl.DateTimeFormat('en-US', { timeZone, month: 'numeric', day: 'numeric' }).format(new Date(t));
+}
+
+// Render a time series chart to a PNG buffer.
+//   series: [{ points: [{ t, value }], color? }] drawn as step lines (a value holds until the next point)
+//   bars:   [{ t, value }] volume bars along the bottom of the plot
+//   marker: { t, value, color } a dashed vertical line with a dot, e.g. where a market resolved
+//   yMin/yMax/yTicks/formatY control the value axis; xEnd extends the lines to a final time
+//   timeZone: IANA zone for the time axis dates (default UTC)
+function renderChart(options) {
+  const {
+    series,
+    bars = [],
+    marker = null,
+    width = 640,
+    height = 320,
+    yMin = 0,
+    yMax = 1,
+    yTicks = 4,
+    formatY = (value) => `${Math.round(value * 100)}%`,
+    timeZone = 'UTC'
+  } = options;
+
+  const image = createImage(width, height);
+  const allTimes = [
+    ...series.flatMap(s => s.points.map(p => p.t)),
+    ...bars.map(b => b.t),
+    ...(marker ? [marker.t] : []),
+    ...(options.xEnd ? [options.xEnd] : [])
+  ];
+  const xStart = Math.min(...allTimes);
+  const xEnd = Math.max(...allTimes, xStart + 1);
+
+  const labels = Array.from({ length: yTicks + 1 }, (_, i) => formatY(yMin + (yMax - yMin) * i / yTicks));
+  const left = Math.max(...labels.map(textWidth)) + 16;
+  const right = width - 16;
+  const top = 14;
+  const bottom = height - 30;
+
+  const x = (t) => left + (t - xStart) / (xEnd - xStart) * (right - left);
+  const y = (value) => bottom - (Math.min(Math.max(value, yMin), yMax) - yMin) / (yMax - yMin || 1) * (bottom - top);
+
+  // Grid and value axis labels
+  labels.forEach((label, i) => {
+    const gy = Math.round(bottom - (bottom - top) * i / yTicks);
+    drawLine(image, left, gy, right, gy, COLORS.grid);
+    drawText(image, left - 8 - textWidth(label), gy - 5, label);
+  });
+
+  // Volume bars fill up to a quarter of the plot height
+  const maxBar = Math.max(0, ...bars.map(b => b.value));
+  if (maxBar > 0) {
+    const barWidth = Math.max(2, Math.min(12, Math.floor((right - left) / Math.max(bars.length, 1) / 2)));
+    for (const bar of bars) {
+      const barHeight = Math.max(1, Math.round(bar.value / maxBar * (bottom - top) / 4));
+      fillRect(image, Math.round(x(bar.t) - barWidth / 2), bottom - barHeight, barWidth, barHeight, COLORS.volume);
+    }
+  }
+
+  drawLine(image, left, bottom, right, bottom, COLORS.axis);
+  drawLine(image, left, top, left, bottom, COLORS.axis);
+
+  // Time axis: first and last date
+  const startLabel = formatDateLabel(xStart, timeZone);
+  const endLabel = formatDateLabel(xEnd, timeZone);
+  drawText(image, left, bottom + 10, startLabel);
+  if (endLabel !== startLabel) {
+    drawText(image, right - textWidth(endLabel), bottom + 10, endLabel);
+  }
+
+  series.forEach((s, index) => {
+    const color = s.color || SERIES_PALETTE[index % SERIES_PALETTE.length].color;
+    const points = [...s.points].sort((a, b) => a.t - b.t);
+    points.forEach((point, i) => {
+      const nextT = i + 1 < points.length ? points[i + 1].t : (options.xEnd || point.t);
+      drawLine(image, x(point.t), y(point.value), x(nextT), y(point.value), color, 2);
+      if (i + 1 < points.length) {
+        drawLine(image, x(nextT), y(point.value), x(nextT), y(points[i + 1].value), color, 2);
+      }
+    });
+  });
+
+  if (marker) {
+    const color = marker.color || COLORS.axis;
+    drawLine(image, x(marker.t), top, x(marker.t), bottom, color, 1, 4);
+    if (marker.value !== undefined && marker.value !== null) {
+      fillRect(image, Math.round(x(marker.t)) - 3, Math.round(y(marker.value)) - 3, 7, 7, color);
+    }
+  }
+
+  return encodePNG(image);
+}
+
+const SPARK_BLOCKS = '▁▂▃▄▅▆▇█';
+
+// Unicode sparkline of the values, resampled to at most `width` characters.
+// Pass min/max to pin the scale (e.g. 0 and 1 for probabilities).
+function sparkline(values, width = 24, min = Math.min(...values), max = Math.max(...values)) {
+  if (values.length === 0) return '';
+  const count = Math.min(values.length, width);
+  const sampled = Array.from({ length: count }, (_, i) => values[Math.floor(i * (values.length - 1) / Math.max(count - 1, 1))]);
+  return sampled.map(value => {
+    const level = max > min ? (value - min) / (max - min) : 0.5;
+    return SPARK_BLOCKS[Math.min(SPARK_BLOCKS.length - 1, Math.max(0, Math.round(level * (SPARK_BLOCKS.length - 1))))];
+  }).join('');
+}
+
+module.exports = { renderChart, sparkline, SERIES_PALETTE, COLORS };
@@ -0,0 +1,189 @@
+// Deadline parsing. Turns what people type ("next Friday 5pm", "in 2 weeks", "end of
+// quarter", "EOD", "2025-06-20") into an exact instant, reading wall-clock times in the
+// given IANA timezone. Dates without a time close at the end of that day.
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const END_OF_DAY = { hour: 23, minute: 59 };
+const END_OF_WORKDAY = { hour: 17, minute: 0 };
+
+const UNIT_MS = { minute: 60 * 1000, hour: 60 * 60 * 1000 };
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock fields of an instant in a timezone. `month` is 1-12, `weekday` 0 (Sunday) to 6.
+function localParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = parseInt(value);
+  }
+  parts.weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+  return parts;
+}
+
+// Milliseconds the timezone is ahead of UTC at an instant
+function timeZoneOffset(date, timeZone) {
+  const p = localParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant a wall-clock time happens in a timezone. The offset is checked a second time
+// at the result so times near a DST change land on the right side of it.
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = wallClock - timeZoneOffset(new Date(wallClock), timeZone);
+  return new Date(wallClock - timeZoneOffset(new Date(guess), timeZone));
+}
+
+// Calendar arithmetic on { year, month, day } without touching the time of day
+function addDays(date, days) {
+  const d = new Date(Date.UTC(date.year, date.month - 1, date.day + days));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+function lastDayOfMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function addMonths(date, months) {
+  const index = date.year * 12 + date.month - 1 + months;
+  const year = Math.floor(index / 12);
+  const month = index % 12 + 1;
+  return { year, month, day: Math.min(date.day, lastDayOfMonth(year, month)) };
+}
+
+// Pull a time of day out of the text: "5pm", "5:30 pm", "17:00", "noon", "EOD"
+function extractTime(text) {
+  const patterns = [
+    [/\b(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/, m => {
+      const hour = parseInt(m[1]);
+      if (hour < 1 || hour > 12) return null;
+      return { hour: hour % 12 + (m[3] === 'pm' ? 12 : 0), minute: m[2] ? parseInt(m[2]) : 0 };
+    }],
+    [/\b(?:at\s+)?(\d{1,2}):(\d{2})\b/, m => ({ hour: parseInt(m[1]), minute: parseInt(m[2]) })],
+    [/\b(?:at\s+)?noon\b/, () => ({ hour: 12, minute: 0 })],
+    [/\b(?:eod|cob|end of (?:the )?(?:day|business day))\b/, () => END_OF_WORKDAY]
+  ];
+
+  for (const [pattern, toTime] of patterns) {
+    const match = text.match(pattern);
+    if (match) {
+      const time = toTime(match);
+      if (!time || time.hour > 23 || time.minute > 59) return { time: null, rest: null };
+      return { time, rest: text.replace(match[0], ' ').replace(/\s+/g, ' ').trim() };
+    }
+  }
+  return { time: null, rest: text };
+}
+
+// The calendar day a date phrase means, relative to today's local date. Returns null when
+// the phrase isn't understood; `time` is a default time of day some phrases imply.
+function parseDay(text, today) {
+  if (text === '' || text === 'today' || text === 'tonight') return { date: today };
+  if (text === 'tomorrow') return { date: addDays(today, 1) };
+
+  let match;
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    return { date: { year: parseInt(match[1]), month: parseInt(match[2]), day: parseInt(match[3]) } };
+  }
+
+  // End of the working week is Friday; at the weekend that means the coming one
+  if (/^(?:eow|end of (?:the )?(?:work ?)?week)$/.test(text)) {
+    return { date: addDays(today, (5 - today.weekday + 7) % 7), time: END_OF_WORKDAY };
+  }
+  if ((match = text.match(/^end of (?:the )?(month|quarter|year)$/))) {
+    const lastMonth = { month: today.month, quarter: Math.ceil(today.month / 3) * 3, year: 12 }[match[1]];
+    return { date: { year: today.year, month: lastMonth, day: lastDayOfMonth(today.year, lastMonth) } };
+  }
+
+  // "friday" and "this friday" include today, "next friday" is always at least a day away
+  if ((match = text.match(/^(?:(this|next)\s+)?([a-z]{3,})$/))) {
+    const weekday = WEEKDAYS.findIndex(name => name.startsWith(match[2]));
+    if (weekday === -1) return null;
+    const ahead = (weekday - today.weekday + 7) % 7;
+    return { date: addDays(today, match[1] === 'next' && ahead === 0 ? 7 : ahead) };
+  }
+
+  // "june 20", "20 june", "jun 20 2026". Without a year it's the next time that date comes round.
+  match = text.match(/^([a-z]{3,})\s+(\d{1,2})(?:st|nd|rd|th)?(?:\s+(\d{4}))?$/)
+    || text.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?([a-z]{3,})(?:\s+(\d{4}))?$/);
+  if (match) {
+    const [monthName, day] = /^\d/.test(match[1]) ? [match[2], match[1]] : [match[1], match[2]];
+    const month = MONTHS.findIndex(name => name.startsWith(monthName)) + 1;
+    if (month === 0) return null;
+    let year = match[3] ? parseInt(match[3]) : today.year;
+    if (!match[3] && (month < today.month || (month === today.month && parseInt(day) < today.day))) year++;
+    return { date: { year, month, day: parseInt(day) } };
+  }
+
+  return null;
+}
+
+// Parse a deadline typed by someone in `timeZone`. Returns a Date, or null if the text
+// isn't a deadline we understand (the caller decides whether it's in the past).
+function parseDeadline(input, timeZone = 'UTC', now = new Date()) {
+  if (!isValidTimeZone(timeZone)) timeZone = 'UTC';
+  const text = String(input || '').toLowerCase()
+    .replace(/(\d{4}-\d{1,2}-\d{1,2})t(?=\d)/, '$1 ')
+    .replace(/[,.]/g, ' ')
+    .replace(/\bby\b|\bon\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!text) return null;
+
+  const local = localParts(now, timeZone);
+  const today = { year: local.year, month: local.month, day: local.day, weekday: local.weekday };
+
+  // "in 2 weeks", "in 90 minutes", "in a month"
+  const relative = text.match(/^in\s+(\d+|an?)\s+(minute|min|hour|hr|day|week|month)s?(?:\s+(.+))?$/);
+  if (relative) {
+    const amount = /^\d/.test(relative[1]) ? parseInt(relative[1]) : 1;
+    const unit = { min: 'minute', hr: 'hour' }[relative[2]] || relative[2];
+    if (UNIT_MS[unit]) {
+      return relative[3] ? null : new Date(now.getTime() + amount * UNIT_MS[unit]);
+    }
+    const { time, rest } = extractTime(relative[3] || '');
+    if (rest) return null;
+    const date = unit === 'month' ? addMonths(today, amount) : addDays(today, amount * (unit === 'week' ? 7 : 1));
+    return zonedTimeToUtc({ ...date, ...(time || END_OF_DAY) }, timeZone);
+  }
+
+  const { time, rest } = extractTime(text);
+  if (rest === null) return null;
+  // A bare time with no day ("5pm") needs a time to mean anything
+  if (rest === '' && !time) return null;
+
+  const day = parseDay(rest, today);
+  if (!day) return null;
+  const { year, month, day: dayOfMonth } = day.date;
+  if (month < 1 || month > 12 || dayOfMonth < 1 || dayOfMonth > lastDayOfMonth(year, month)) return null;
+
+  return zonedTimeToUtc({ year, month, day: dayOfMonth, ...(time || day.time || END_OF_DAY) }, timeZone);
+}
+
+module.exports = { parseDeadline, zonedTimeToUtc, isValidTimeZone };
@@ -1,24 +1,103 @@
 require('dotenv').config();
 const { App } = require('@slack/bolt');
 const { Pool } = require('pg');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { renderChart, sparkline, SERIES_PALETTE, COLORS } = require('./chart');
+const { parseDeadline, zonedTimeToUtc, isValidTimeZone } = require('./deadline');
+const {
+  LMSR_PRICE_BOUND,
+  MIN_SALE_FRACTION,
+  lmsrSubsidy,
+  lmsrMaxLiquidity,
+  lmsrOpeningShares,
+  quoteLmsrTrade,
+  lmsrPrices,
+  normalizeProbabilities,
+  targetForOutcome,
+  quoteCategoricalTrade,
+  quoteSale
+} = require('./lmsr');
+const { SCORING_RULES, calculateProfit } = require('./scoring');
+const { calculateCalibration } = require('./calibration');
+const {
+  DEFAULT_SCALAR_BUCKETS,
+  MAX_SCALAR_BUCKETS,
+  DAY_MS,
+  parseScalarValue,
+  formatScalarValue,
+  buildScalarBuckets,
+  scalarBucketForValue,
+  scalarForecastToBuckets,
+  scalarQuantile
+} = require('./scalar');
+const { ARG_TYPES, formatCommandUsage, parseCommandArgs } = require('./args');
 
 // Debug logging
 console.log('=== ENVIRONMENT VARIABLES DEBUG ===');
 console.log('SLACK_BOT_TOKEN:', process.env.SLACK_BOT_TOKEN ? 'EXISTS' : 'MISSING');
 console.log('SLACK_SIGNING_SECRET:', process.env.SLACK_SIGNING_SECRET ? 'EXISTS' : 'MISSING');
 console.log('SLACK_APP_TOKEN:', process.env.SLACK_APP_TOKEN ? 'EXISTS' : 'MISSING');
+console.log('SLACK_CLIENT_ID:', process.env.SLACK_CLIENT_ID ? 'EXISTS' : 'MISSING');
 console.log('DATABASE_URL:', process.env.DATABASE_URL ? 'EXISTS' : 'MISSING');
 console.log('===============================');
 
+// With SLACK_CLIENT_ID/SLACK_CLIENT_SECRET set, any workspace can install the app through
+// OAuth (installs are stored in Postgres). Otherwise it runs in SLACK_BOT_TOKEN's workspace only.
+const MULTI_WORKSPACE = Boolean(process.env.SLACK_CLIENT_ID && process.env.SLACK_CLIENT_SECRET);
+
+// Bot scopes requested when a workspace installs the app
+const BOT_SCOPES = ['commands', 'chat:write', 'files:write', 'im:write', 'users:read'];
+
+// Port for the HTTP server that runs next to the socket connection: the JSON API, and the
+// install pages when multi-workspace
+const HTTP_PORT = parseInt(process.env.PORT) || 3000;
+
 const app = new App({
-  token: process.env.SLACK_BOT_TOKEN,
   signingSecret: process.env.SLACK_SIGNING_SECRET,
   socketMode: true,
-  appToken: process.env.SLACK_APP_TOKEN
+  appToken: process.env.SLACK_APP_TOKEN,
+  customRoutes: apiRoutes(),
+  installerOptions: { port: HTTP_PORT, directInstall: true },
+  ...(MULTI_WORKSPACE ? {
+    clientId: process.env.SLACK_CLIENT_ID,
+    clientSecret: process.env.SLACK_CLIENT_SECRET,
+    stateSecret: process.env.SLACK_STATE_SECRET,
+    scopes: BOT_SCOPES,
+    installationStore: { storeInstallation, fetchInstallation, deleteInstallation }
+  } : {
+    token: process.env.SLACK_BOT_TOKEN
+  })
 });
 
-// Admin user ID
-const ADMIN_USER_ID = process.env.ADMIN_USER_ID || 'U08QVDK2Z4L'; // Ryan's user ID
+// Admin of a single-workspace install. Multi-workspace installs ignore it: each workspace
+// is administered by whoever installed the app there.
+const ADMIN_USER_ID = process.env.ADMIN_USER_ID || null;
+
+// Scoring rule (log | brier | spherical) for payouts on legacy markets, the ones created
+// before the market maker. Market maker markets pay $1 per winning share and ignore it.
+const SCORING_RULE = (process.env.SCORING_RULE || 'log').toLowerCase();
+
+// Deadline scheduler: how often it polls, and how often resolvers are nagged about closed markets
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000;
+const RESOLVE_REMINDER_HOURS = parseFloat(process.env.RESOLVE_REMINDER_HOURS) || 24;
+
+// LMSR market maker defaults: liquidity parameter b and the most a creator can be asked to subsidize
+const DEFAULT_LIQUIDITY = parseFloat(process.env.DEFAULT_LIQUIDITY) || 100;
+const MAX_SUBSIDY = parseInt(process.env.MAX_SUBSIDY) || 100;
+
+// Economy defaults. Admins override them per workspace with `/predict economy`; an allowance
+// or bailout of 0 turns it off.
+const ECONOMY_DEFAULTS = {
+  starting_balance: parseInt(process.env.STARTING_BANKROLL) || 1000,
+  allowance: parseInt(process.env.ALLOWANCE_AMOUNT ?? 50),
+  allowance_days: parseInt(process.env.ALLOWANCE_DAYS) || 7,
+  allowance_cap: parseInt(process.env.ALLOWANCE_CAP) || 1000,
+  bailout: parseInt(process.env.BAILOUT_AMOUNT ?? 100)
+};
 
 // PostgreSQL connection
 const pool = new Pool({
@@ -26,77 +105,19 @@ const pool = new Pool({
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
-// Enhanced migration function to ensure all columns exist
-async function migrateDatabase() {
-  console.log('🔄 Running database migration...');
-  
-  try {
-    // Add missing columns one by one with error handling
-    const migrations = [
-      {
-        name: 'total_profit',
-        query: 'ALTER TABLE users ADD COLUMN total_profit INTEGER DEFAULT 0'
-      },
-      {
-        name: 'biggest_win', 
-        query: 'ALTER TABLE users ADD COLUMN biggest_win INTEGER DEFAULT 0'
-      },
-      {
-        name: 'prediction_streak',
-        query: 'ALTER TABLE users ADD COLUMN prediction_streak INTEGER DEFAULT 0'
-      },
-      {
-        name: 'best_streak',
-        query: 'ALTER TABLE users ADD COLUMN best_streak INTEGER DEFAULT 0'
-      },
-      {
-        name: 'markets_created',
-        query: 'ALTER TABLE users ADD COLUMN markets_created INTEGER DEFAULT 0'
-      },
-      {
-        name: 'last_active',
-        query: 'ALTER TABLE users ADD COLUMN last_active TIMESTAMP DEFAULT CURRENT_TIMESTAMP'
-      }
-    ];
-
-    for (const migration of migrations) {
-      try {
-        await pool.query(migration.query);
-        console.log(`✅ Added column: ${migration.name}`);
-      } catch (error) {
-        if (error.code === '42701') {
-          console.log(`⚠️ Column ${migration.name} already exists`);
-        } else {
-          console.error(`❌ Failed to add ${migration.name}:`, error.message);
-        }
-      }
-    }
-
-    // Initialize existing users with default values
-    await pool.query(`
-      UPDATE users SET 
-        total_profit = COALESCE(total_profit, bankroll - 1000),
-        biggest_win = COALESCE(biggest_win, 0),
-        prediction_streak = COALESCE(prediction_streak, 0),
-        best_streak = COALESCE(best_streak, 0),
-        markets_created = COALESCE(markets_created, 0),
-        last_active = COALESCE(last_active, CURRENT_TIMESTAMP)
-      WHERE total_profit IS NULL OR biggest_win IS NULL
-    `);
-    console.log('✅ Initialized existing user data');
-
-    console.log('🎉 Database migration completed successfully!');
-  } catch (error) {
-    console.error('❌ Migration failed:', error);
-  }
-}
+// The zone node-pg wrote TIMESTAMP deadlines in before they became TIMESTAMPTZ
+const SERVER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
 
-// Initialize database tables
-async function initializeDatabase() {
-  try {
-    // Create users table with leaderboard fields
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
+// Versioned schema migrations. Each one runs once, in order, inside its own transaction,
+// and is recorded in schema_migrations. Append new migrations to the end of the list.
+// Column additions use IF NOT EXISTS so databases set up by the old ad-hoc migration
+// step upgrade cleanly.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create_base_tables',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS users (
         id VARCHAR(255) PRIMARY KEY,
         bankroll INTEGER DEFAULT 1000,
         total_staked INTEGER DEFAULT 0,
@@ -104,12 +125,8 @@ async function initializeDatabase() {
         bets_won INTEGER DEFAULT 0,
         accuracy DECIMAL(5,4) DEFAULT 0.5,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create markets table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS markets (
+      )`,
+      `CREATE TABLE IF NOT EXISTS markets (
         id VARCHAR(255) PRIMARY KEY,
         question TEXT NOT NULL,
         creator VARCHAR(255) NOT NULL,
@@ -121,12 +138,8 @@ async function initializeDatabase() {
         probability DECIMAL(5,4) DEFAULT 0.5,
         total_stake INTEGER DEFAULT 0,
         active BOOLEAN DEFAULT TRUE
-      )
-    `);
-
-    // Create bets table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS bets (
+      )`,
+      `CREATE TABLE IF NOT EXISTS bets (
         id SERIAL PRIMARY KEY,
         market_id VARCHAR(255) REFERENCES markets(id),
         user_id VARCHAR(255) NOT NULL,
@@ -135,42 +148,465 @@ async function initializeDatabase() {
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         UNIQUE(market_id, user_id)
+      )`
+    ]
+  },
+  {
+    version: 2,
+    name: 'add_leaderboard_columns',
+    statements: [
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS total_profit INTEGER DEFAULT 0',
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS biggest_win INTEGER DEFAULT 0',
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS prediction_streak INTEGER DEFAULT 0',
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS best_streak INTEGER DEFAULT 0',
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS markets_created INTEGER DEFAULT 0',
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS last_active TIMESTAMP DEFAULT CURRENT_TIMESTAMP'
+    ]
+  },
+  {
+    version: 3,
+    name: 'backfill_leaderboard_stats',
+    statements: [
+      `UPDATE users SET 
+        total_profit = COALESCE(total_profit, bankroll - 1000),
+        biggest_win = COALESCE(biggest_win, 0),
+        prediction_streak = COALESCE(prediction_streak, 0),
+        best_streak = COALESCE(best_streak, 0),
+        markets_created = COALESCE(markets_created, 0),
+        last_active = COALESCE(last_active, CURRENT_TIMESTAMP)`,
+      `ALTER TABLE users
+        ALTER COLUMN total_profit SET NOT NULL,
+        ALTER COLUMN biggest_win SET NOT NULL,
+        ALTER COLUMN prediction_streak SET NOT NULL,
+        ALTER COLUMN best_streak SET NOT NULL,
+        ALTER COLUMN markets_created SET NOT NULL`
+    ]
+  },
+  {
+    version: 4,
+    name: 'add_scoring_rule',
+    statements: [
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS scoring_rule VARCHAR(20)'
+    ]
+  },
+  {
+    version: 5,
+    name: 'add_lmsr_market_maker',
+    statements: [
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS liquidity NUMERIC DEFAULT NULL',
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS subsidy INTEGER DEFAULT 0',
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS q_yes NUMERIC DEFAULT 0',
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS q_no NUMERIC DEFAULT 0',
+      'ALTER TABLE bets ADD COLUMN IF NOT EXISTS shares_yes NUMERIC DEFAULT 0',
+      'ALTER TABLE bets ADD COLUMN IF NOT EXISTS shares_no NUMERIC DEFAULT 0'
+    ]
+  },
+  {
+    version: 6,
+    name: 'add_multiple_choice_markets',
+    statements: [
+      "ALTER TABLE markets ADD COLUMN IF NOT EXISTS market_type VARCHAR(20) DEFAULT 'binary'",
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS outcomes JSONB DEFAULT NULL',
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS outcome_shares JSONB DEFAULT NULL',
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS winning_outcome INTEGER DEFAULT NULL',
+      'ALTER TABLE bets ADD COLUMN IF NOT EXISTS outcome_shares JSONB DEFAULT NULL',
+      'ALTER TABLE bets ADD COLUMN IF NOT EXISTS probabilities JSONB DEFAULT NULL'
+    ]
+  },
+  {
+    version: 7,
+    name: 'add_scalar_markets',
+    statements: [
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS scalar_min NUMERIC DEFAULT NULL',
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS scalar_max NUMERIC DEFAULT NULL',
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS scalar_unit VARCHAR(20) DEFAULT NULL',
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS resolved_value NUMERIC DEFAULT NULL',
+      'ALTER TABLE bets ADD COLUMN IF NOT EXISTS point_estimate NUMERIC DEFAULT NULL',
+      'ALTER TABLE bets ADD COLUMN IF NOT EXISTS interval_low NUMERIC DEFAULT NULL',
+      'ALTER TABLE bets ADD COLUMN IF NOT EXISTS interval_high NUMERIC DEFAULT NULL'
+    ]
+  },
+  {
+    version: 8,
+    name: 'add_market_voiding',
+    statements: [
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS voided BOOLEAN DEFAULT FALSE',
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS void_reason TEXT DEFAULT NULL'
+    ]
+  },
+  {
+    version: 9,
+    name: 'add_deadline_scheduler',
+    statements: [
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS channel_id VARCHAR(255) DEFAULT NULL',
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS closed BOOLEAN DEFAULT FALSE',
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP DEFAULT NULL',
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS last_reminded_at TIMESTAMP DEFAULT NULL',
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS reminder_count INTEGER DEFAULT 0'
+    ]
+  },
+  {
+    version: 10,
+    name: 'add_ledger',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS ledger (
+        id SERIAL PRIMARY KEY,
+        entry_type VARCHAR(32) NOT NULL,
+        from_account VARCHAR(255) NOT NULL,
+        to_account VARCHAR(255) NOT NULL,
+        amount INTEGER NOT NULL CHECK (amount > 0),
+        user_id VARCHAR(255) NOT NULL,
+        market_id VARCHAR(255) REFERENCES markets(id),
+        bet_id INTEGER REFERENCES bets(id),
+        memo TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+      'CREATE INDEX IF NOT EXISTS ledger_user_id_idx ON ledger (user_id, id)',
+      'CREATE INDEX IF NOT EXISTS ledger_market_id_idx ON ledger (market_id)',
+      `CREATE OR REPLACE FUNCTION ledger_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'ledger entries are append-only';
+      END;
+      $$ LANGUAGE plpgsql`,
+      'DROP TRIGGER IF EXISTS ledger_append_only ON ledger',
+      'CREATE TRIGGER ledger_append_only BEFORE UPDATE OR DELETE ON ledger FOR EACH ROW EXECUTE FUNCTION ledger_append_only()',
+      // Existing balances become opening entries so every user reconciles from day one
+      `INSERT INTO ledger (entry_type, from_account, to_account, amount, user_id, memo)
+      SELECT 'opening_balance',
+             CASE WHEN balance.amount > 0 THEN 'system' ELSE 'user:' || u.id || ':' || balance.account END,
+             CASE WHEN balance.amount > 0 THEN 'user:' || u.id || ':' || balance.account ELSE 'system' END,
+             ABS(balance.amount), u.id, 'Balance before the ledger existed'
+      FROM users u
+      CROSS JOIN LATERAL (VALUES ('cash', u.bankroll - u.total_staked), ('staked', u.total_staked)) AS balance(account, amount)
+      WHERE balance.amount <> 0`
+    ]
+  },
+  {
+    version: 11,
+    name: 'add_forecast_history',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS forecast_revisions (
+        id SERIAL PRIMARY KEY,
+        bet_id INTEGER NOT NULL REFERENCES bets(id),
+        market_id VARCHAR(255) NOT NULL REFERENCES markets(id),
+        user_id VARCHAR(255) NOT NULL,
+        old_probability DECIMAL(5,4),
+        new_probability DECIMAL(5,4) NOT NULL,
+        old_stake INTEGER,
+        new_stake INTEGER NOT NULL,
+        probabilities JSONB DEFAULT NULL,
+        point_estimate NUMERIC DEFAULT NULL,
+        interval_low NUMERIC DEFAULT NULL,
+        interval_high NUMERIC DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+      'CREATE INDEX IF NOT EXISTS forecast_revisions_market_user_idx ON forecast_revisions (market_id, user_id, id)',
+      `CREATE TABLE IF NOT EXISTS market_history (
+        id SERIAL PRIMARY KEY,
+        market_id VARCHAR(255) NOT NULL REFERENCES markets(id),
+        revision_id INTEGER REFERENCES forecast_revisions(id),
+        probability DECIMAL(5,4) NOT NULL,
+        outcome_probabilities JSONB DEFAULT NULL,
+        total_stake INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+      'CREATE INDEX IF NOT EXISTS market_history_market_id_idx ON market_history (market_id, id)',
+      `CREATE OR REPLACE FUNCTION history_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+      END;
+      $$ LANGUAGE plpgsql`,
+      'DROP TRIGGER IF EXISTS forecast_revisions_append_only ON forecast_revisions',
+      'CREATE TRIGGER forecast_revisions_append_only BEFORE UPDATE OR DELETE ON forecast_revisions FOR EACH ROW EXECUTE FUNCTION history_append_only()',
+      'DROP TRIGGER IF EXISTS market_history_append_only ON market_history',
+      'CREATE TRIGGER market_history_append_only BEFORE UPDATE OR DELETE ON market_history FOR EACH ROW EXECUTE FUNCTION history_append_only()',
+      // Earlier revisions are gone, but each bet's latest forecast seeds its log
+      `INSERT INTO forecast_revisions (bet_id, market_id, user_id, new_probability, new_stake, probabilities, point_estimate, interval_low, interval_high, created_at)
+      SELECT id, market_id, user_id, probability, stake, probabilities, point_estimate, interval_low, interval_high, COALESCE(updated_at, created_at)
+      FROM bets
+      ORDER BY COALESCE(updated_at, created_at), id`
+    ]
+  },
+  {
+    version: 12,
+    name: 'add_market_descriptions',
+    statements: [
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS description TEXT DEFAULT NULL',
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS resolution_criteria TEXT DEFAULT NULL'
+    ]
+  },
+  {
+    version: 13,
+    name: 'add_market_card_ts',
+    statements: [
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS message_ts VARCHAR(32) DEFAULT NULL'
+    ]
+  },
+  {
+    version: 14,
+    name: 'add_workspaces',
+    statements: [
+      // Keyed by team ID, or enterprise ID for org-wide installs
+      `CREATE TABLE IF NOT EXISTS installations (
+        id VARCHAR(32) PRIMARY KEY,
+        team_id VARCHAR(32),
+        enterprise_id VARCHAR(32),
+        installer_user_id VARCHAR(255),
+        installation JSONB NOT NULL,
+        installed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_installations_team ON installations(team_id)',
+      // Slack user IDs are unique across workspaces, so users keep their ID as the key and
+      // just record the workspace they play in
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS team_id VARCHAR(32) DEFAULT NULL',
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS team_id VARCHAR(32) DEFAULT NULL',
+      'CREATE INDEX IF NOT EXISTS idx_users_team ON users(team_id)',
+      'CREATE INDEX IF NOT EXISTS idx_markets_team_channel ON markets(team_id, channel_id)'
+    ]
+  },
+  {
+    version: 15,
+    name: 'add_api_tokens',
+    statements: [
+      // Only a hash of each token is kept; the token itself is shown once when it's issued
+      `CREATE TABLE IF NOT EXISTS api_tokens (
+        id SERIAL PRIMARY KEY,
+        team_id VARCHAR(32) NOT NULL,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        created_by VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        revoked_at TIMESTAMP DEFAULT NULL
+      )`
+    ]
+  },
+  {
+    version: 16,
+    name: 'deadlines_as_instants',
+    statements: [
+      // Deadlines were written as the bot server's local wall-clock time, so read them back
+      // in that zone once and keep exact instants from now on
+      `ALTER TABLE markets ALTER COLUMN deadline TYPE TIMESTAMPTZ USING deadline AT TIME ZONE '${SERVER_TIME_ZONE}'`
+    ]
+  },
+  {
+    version: 17,
+    name: 'add_seasons',
+    statements: [
+      // ends_at is set for seasons that roll over on their own
+      `CREATE TABLE IF NOT EXISTS seasons (
+        id SERIAL PRIMARY KEY,
+        team_id VARCHAR(32),
+        name VARCHAR(64) NOT NULL,
+        rollover VARCHAR(16) DEFAULT NULL,
+        reset_bankrolls BOOLEAN DEFAULT FALSE,
+        channel_id VARCHAR(255) DEFAULT NULL,
+        started_by VARCHAR(255),
+        started_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        ends_at TIMESTAMPTZ DEFAULT NULL,
+        ended_at TIMESTAMPTZ DEFAULT NULL
+      )`,
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_seasons_team_name ON seasons(team_id, LOWER(name))',
+      // At most one season running per workspace
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_seasons_team_current ON seasons(team_id) WHERE ended_at IS NULL',
+      // Final standings of each leaderboard, one row per ranked user, with the user's stats
+      // as the leaderboard showed them
+      `CREATE TABLE IF NOT EXISTS season_standings (
+        season_id INTEGER NOT NULL REFERENCES seasons(id),
+        board VARCHAR(16) NOT NULL,
+        rank INTEGER NOT NULL,
+        user_id VARCHAR(255) NOT NULL,
+        stats JSONB NOT NULL,
+        PRIMARY KEY (season_id, board, rank)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_season_standings_user ON season_standings(user_id)'
+    ]
+  },
+  {
+    version: 18,
+    name: 'add_workspace_economy',
+    statements: [
+      // NULL settings fall back to ECONOMY_DEFAULTS
+      `CREATE TABLE IF NOT EXISTS workspace_settings (
+        team_id VARCHAR(32) PRIMARY KEY,
+        starting_balance INTEGER DEFAULT NULL,
+        allowance INTEGER DEFAULT NULL,
+        allowance_days INTEGER DEFAULT NULL,
+        allowance_cap INTEGER DEFAULT NULL,
+        bailout INTEGER DEFAULT NULL,
+        updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      )`,
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS last_allowance_at TIMESTAMPTZ DEFAULT NULL',
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS bailed_out_at TIMESTAMPTZ DEFAULT NULL'
+    ]
+  },
+  {
+    version: 19,
+    name: 'add_position_sales',
+    statements: [
+      // Profit the market maker has already paid out to sellers, settled with the creator at resolution
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS cashed_out_profit INTEGER DEFAULT 0'
+    ]
+  },
+  {
+    version: 20,
+    name: 'add_thread_chart',
+    statements: [
+      // History points in the chart last uploaded to the market's thread, so it's only re-posted once it changes
+      'ALTER TABLE markets ADD COLUMN IF NOT EXISTS chart_points INTEGER'
+    ]
+  },
+  {
+    version: 21,
+    name: 'key_users_by_workspace',
+    statements: [
+      // On Enterprise Grid one Slack user ID plays in several workspaces, each with its own
+      // bankroll. Users and markets with no workspace yet wait under '' until adoptUnscopedRows.
+      `UPDATE users SET team_id = '' WHERE team_id IS NULL`,
+      `UPDATE markets SET team_id = '' WHERE team_id IS NULL`,
+      'ALTER TABLE users ALTER COLUMN team_id DROP DEFAULT, ALTER COLUMN team_id SET NOT NULL',
+      'ALTER TABLE users DROP CONSTRAINT IF EXISTS users_pkey',
+      'ALTER TABLE users ADD PRIMARY KEY (team_id, id)',
+      'DROP INDEX IF EXISTS idx_users_team',
+      // User accounts name the workspace too (user:<team>:<user>:cash), the one rewrite the
+      // append-only ledger gets
+      'ALTER TABLE ledger DISABLE TRIGGER ledger_append_only',
+      `UPDATE ledger l SET from_account = 'user:' || u.team_id || ':' || substring(l.from_account FROM 6)
+      FROM users u WHERE l.from_account LIKE 'user:%' AND u.id = split_part(l.from_account, ':', 2)`,
+      `UPDATE ledger l SET to_account = 'user:' || u.team_id || ':' || substring(l.to_account FROM 6)
+      FROM users u WHERE l.to_account LIKE 'user:%' AND u.id = split_part(l.to_account, ':', 2)`,
+      'ALTER TABLE ledger ENABLE TRIGGER ledger_append_only'
+    ]
+  }
+];
+
+// Arbitrary key for pg_advisory_lock so two bot processes never migrate at once
+const MIGRATION_LOCK_ID = 724201;
+
+async function getAppliedMigrations(client = pool) {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+}
+
+async function runMigrations() {
+  console.log('🔄 Running database migrations...');
+  
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
-
-    console.log('✅ Database tables initialized successfully');
     
-    // Run migration to add new columns
-    await migrateDatabase();
+    const applied = new Set((await getAppliedMigrations(client)).map(m => m.version));
+    
+    for (const migration of MIGRATIONS) {
+      if (applied.has(migration.version)) continue;
+      
+      try {
+        await client.query('BEGIN');
+        for (const statement of migration.statements) {
+          await client.query(statement);
+        }
+        await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        await client.query('COMMIT');
+        console.log(`✅ Applied migration ${migration.version}: ${migration.name}`);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+      }
+    }
     
+    console.log('🎉 Database schema is up to date');
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+// Every known migration with when it was applied (null if pending)
+async function getMigrationStatus() {
+  try {
+    const applied = new Map((await getAppliedMigrations()).map(m => [m.version, m]));
+    return MIGRATIONS.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied_at: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+    }));
+  } catch (error) {
+    console.error('Error getting migration status:', error);
+    throw error;
+  }
+}
+
+// Initialize database tables. Startup stops here if the schema can't be brought up to date.
+async function initializeDatabase() {
+  try {
+    await runMigrations();
   } catch (error) {
     console.error('❌ Database initialization failed:', error);
+    throw error;
+  }
+}
+
+// Run `fn` inside a transaction on one dedicated pooled client. Queries that should
+// take part must be given that client; anything sent through `pool` runs outside it.
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Row locks. Always lock the market before any users, and users in id order, so two
+// transactions touching the same rows can't deadlock.
+async function lockMarket(marketId, client) {
+  const result = await client.query('SELECT * FROM markets WHERE id = $1 FOR UPDATE', [marketId]);
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+// Users' rows in one workspace, by user ID
+async function lockUsers(userIds, teamId, client) {
+  const ids = [...new Set(userIds)].sort();
+  for (const id of ids) {
+    await getUser(id, teamId, client); // Make sure the row exists before locking it
   }
+  const result = await client.query('SELECT * FROM users WHERE team_id = $1 AND id = ANY($2) ORDER BY id FOR UPDATE', [teamId, ids]);
+  return new Map(result.rows.map(user => [user.id, user]));
 }
 
-// Database helper functions
-async function getUser(userId) {
+// Database helper functions. A user has a row, and a bankroll, in each workspace they play
+// in, starting with that workspace's starting balance.
+async function getUser(userId, teamId, client = pool) {
   try {
-    const result = await pool.query('SELECT * FROM users WHERE id = $1', [userId]);
+    const result = await client.query('SELECT * FROM users WHERE id = $1 AND team_id = $2', [userId, teamId]);
     if (result.rows.length === 0) {
-      // Create new user
-      await pool.query(`
-        INSERT INTO users (id, bankroll, total_staked, bets_placed, bets_won, accuracy, total_profit, biggest_win, prediction_streak, best_streak, markets_created, last_active)
-        VALUES ($1, 1000, 0, 0, 0, 0.5, 0, 0, 0, 0, 0, CURRENT_TIMESTAMP)
-      `, [userId]);
-      return { 
-        id: userId, 
-        bankroll: 1000, 
-        total_staked: 0, 
-        bets_placed: 0, 
-        bets_won: 0, 
-        accuracy: 0.5,
-        total_profit: 0,
-        biggest_win: 0,
-        prediction_streak: 0,
-        best_streak: 0,
-        markets_created: 0
-      };
+      // Create new user (two first-time requests can race here, so the loser just no-ops).
+      // The starting balance is only written to the ledger if this insert won.
+      const { starting_balance } = await getEconomy(teamId, client);
+      await client.query(`
+        WITH created AS (
+          INSERT INTO users (id, team_id, bankroll, total_staked, bets_placed, bets_won, accuracy, total_profit, biggest_win, prediction_streak, best_streak, markets_created, last_active)
+          VALUES ($1, $4, $5, 0, 0, 0, 0.5, 0, 0, 0, 0, 0, CURRENT_TIMESTAMP)
+          ON CONFLICT (team_id, id) DO NOTHING
+          RETURNING id, bankroll
+        )
+        INSERT INTO ledger (entry_type, from_account, to_account, amount, user_id, memo)
+        SELECT 'starting_balance', $2, $3, bankroll, id, 'Starting bankroll' FROM created
+      `, [userId, LEDGER_SYSTEM_ACCOUNT, cashAccount(userId, teamId), teamId, starting_balance]);
+      return (await client.query('SELECT * FROM users WHERE id = $1 AND team_id = $2', [userId, teamId])).rows[0];
     }
     return result.rows[0];
   } catch (error) {
@@ -179,23 +615,23 @@ async function getUser(userId) {
   }
 }
 
-async function updateUser(userId, updates) {
+async function updateUser(userId, teamId, updates, client = pool) {
   try {
     // Always update last_active
     updates.last_active = new Date();
     
-    const fields = Object.keys(updates).map((key, index) => `${key} = $${index + 2}`).join(', ');
-    const values = [userId, ...Object.values(updates)];
-    await pool.query(`UPDATE users SET ${fields} WHERE id = $1`, values);
+    const fields = Object.keys(updates).map((key, index) => `${key} = $${index + 3}`).join(', ');
+    const values = [userId, teamId, ...Object.values(updates)];
+    await client.query(`UPDATE users SET ${fields} WHERE id = $1 AND team_id = $2`, values);
   } catch (error) {
     console.error('Error updating user:', error);
     throw error;
   }
 }
 
-async function getMarket(marketId) {
+async function getMarket(marketId, client = pool) {
   try {
-    const result = await pool.query('SELECT * FROM markets WHERE id = $1', [marketId]);
+    const result = await client.query('SELECT * FROM markets WHERE id = $1', [marketId]);
     return result.rows.length > 0 ? result.rows[0] : null;
   } catch (error) {
     console.error('Error getting market:', error);
@@ -203,47 +639,234 @@ async function getMarket(marketId) {
   }
 }
 
-async function createMarket(marketData) {
+// Markets are only visible inside the workspace they were created in
+async function getTeamMarket(marketId, teamId) {
+  const market = await getMarket(marketId);
+  return market && market.team_id === teamId ? market : null;
+}
+
+// Workspace installations (Bolt's OAuth installation store)
+function installationKey(installation) {
+  return installation.isEnterpriseInstall && installation.enterprise ? installation.enterprise.id : installation.team.id;
+}
+
+async function storeInstallation(installation) {
   try {
+    const existing = await pool.query('SELECT COUNT(*) AS count FROM installations');
     await pool.query(`
-      INSERT INTO markets (id, question, creator, deadline, probability, total_stake, active)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      INSERT INTO installations (id, team_id, enterprise_id, installer_user_id, installation)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (id) DO UPDATE SET
+        team_id = EXCLUDED.team_id,
+        enterprise_id = EXCLUDED.enterprise_id,
+        installer_user_id = EXCLUDED.installer_user_id,
+        installation = EXCLUDED.installation,
+        installed_at = CURRENT_TIMESTAMP
     `, [
-      marketData.id,
-      marketData.question,
-      marketData.creator,
-      marketData.deadline,
-      marketData.probability,
-      marketData.totalStake,
-      marketData.active
+      installationKey(installation),
+      installation.team ? installation.team.id : null,
+      installation.enterprise ? installation.enterprise.id : null,
+      installation.user ? installation.user.id : null,
+      JSON.stringify(installation)
     ]);
+    
+    // Markets from before the app was multi-workspace belong to the first workspace to install it
+    if (parseInt(existing.rows[0].count) === 0 && installation.team) {
+      await adoptUnscopedRows(installation.team.id);
+    }
+  } catch (error) {
+    console.error('Error storing installation:', error);
+    throw error;
+  }
+}
 
-    // Update creator's markets_created count
-    await pool.query(`
-      UPDATE users 
-      SET markets_created = markets_created + 1, last_active = CURRENT_TIMESTAMP 
-      WHERE id = $1
-    `, [marketData.creator]);
+async function fetchInstallation(query) {
+  const key = query.isEnterpriseInstall && query.enterpriseId ? query.enterpriseId : query.teamId;
+  const result = await pool.query('SELECT installation FROM installations WHERE id = $1', [key]);
+  if (result.rows.length === 0) {
+    throw new Error(`No installation found for ${key}`);
+  }
+  return result.rows[0].installation;
+}
+
+async function deleteInstallation(query) {
+  const key = query.isEnterpriseInstall && query.enterpriseId ? query.enterpriseId : query.teamId;
+  await pool.query('DELETE FROM installations WHERE id = $1', [key]);
+}
+
+// Token for work that has no incoming request to borrow a client from (scheduler posts, card updates)
+async function getBotToken(teamId) {
+  if (!MULTI_WORKSPACE) return process.env.SLACK_BOT_TOKEN;
+  
+  const result = await pool.query(`
+    SELECT installation->'bot'->>'token' AS token FROM installations
+    WHERE team_id = $1 ORDER BY installed_at DESC LIMIT 1
+  `, [teamId]);
+  return result.rows.length > 0 ? result.rows[0].token : null;
+}
+
+// Whoever installed the app looks after their workspace. Single-workspace installs use
+// ADMIN_USER_ID. Null when the workspace has nobody to administer it.
+async function getWorkspaceAdmin(teamId) {
+  if (!MULTI_WORKSPACE) return ADMIN_USER_ID;
+  
+  const result = await pool.query('SELECT installer_user_id FROM installations WHERE team_id = $1 ORDER BY installed_at DESC LIMIT 1', [teamId]);
+  return result.rows.length > 0 ? result.rows[0].installer_user_id : null;
+}
+
+async function isWorkspaceAdmin(teamId, userId) {
+  const admin = await getWorkspaceAdmin(teamId);
+  return Boolean(admin) && userId === admin;
+}
+
+// Give a user their row in a workspace, which scopes their bankroll and leaderboards and
+// whose admins manage them. On Enterprise Grid the same user ID joins several workspaces.
+async function joinTeam(userId, teamId) {
+  await getUser(userId, teamId);
+}
+
+// A workspace's economy settings, with the defaults filling in anything not set
+async function getEconomy(teamId, client = pool) {
+  const result = teamId
+    ? await client.query('SELECT * FROM workspace_settings WHERE team_id = $1', [teamId])
+    : { rows: [] };
+  const settings = result.rows[0] || {};
+  return Object.fromEntries(Object.entries(ECONOMY_DEFAULTS).map(([key, value]) => [key, settings[key] ?? value]));
+}
+
+async function updateEconomy(teamId, setting, value) {
+  if (!(setting in ECONOMY_DEFAULTS)) throw new Error(`Unknown economy setting: ${setting}`);
+  await pool.query(`
+    INSERT INTO workspace_settings (team_id, ${setting}) VALUES ($1, $2)
+    ON CONFLICT (team_id) DO UPDATE SET ${setting} = EXCLUDED.${setting}, updated_at = CURRENT_TIMESTAMP
+  `, [teamId, value]);
+  return getEconomy(teamId);
+}
+
+// API tokens. Each one reads a single workspace's data.
+function hashApiToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function createApiToken(teamId, userId) {
+  const token = `pm_${crypto.randomBytes(24).toString('base64url')}`;
+  await pool.query('INSERT INTO api_tokens (team_id, token_hash, created_by) VALUES ($1, $2, $3)', [teamId, hashApiToken(token), userId]);
+  return token;
+}
+
+async function revokeApiTokens(teamId) {
+  const result = await pool.query('UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE team_id = $1 AND revoked_at IS NULL', [teamId]);
+  return result.rowCount;
+}
+
+async function getApiTokenTeam(token) {
+  const result = await pool.query('SELECT team_id FROM api_tokens WHERE token_hash = $1 AND revoked_at IS NULL', [hashApiToken(token)]);
+  return result.rows.length > 0 ? result.rows[0].team_id : null;
+}
+
+// Unlike getUser, never creates the user
+async function findTeamUser(userId, teamId) {
+  const result = await pool.query('SELECT * FROM users WHERE id = $1 AND team_id = $2', [userId, teamId]);
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+// Give rows from before workspaces were tracked to the workspace that was using the app.
+// Those users' ledger accounts move with them.
+async function adoptUnscopedRows(teamId) {
+  try {
+    await withTransaction(async (client) => {
+      const adopted = await client.query(`UPDATE users SET team_id = $1 WHERE team_id = ''`, [teamId]);
+      await client.query(`UPDATE markets SET team_id = $1 WHERE team_id = ''`, [teamId]);
+      if (adopted.rowCount === 0) return;
+
+      await client.query('ALTER TABLE ledger DISABLE TRIGGER ledger_append_only');
+      for (const column of ['from_account', 'to_account']) {
+        await client.query(`UPDATE ledger SET ${column} = 'user:' || $1 || ':' || substring(${column} FROM 7) WHERE ${column} LIKE 'user::%'`, [teamId]);
+      }
+      await client.query('ALTER TABLE ledger ENABLE TRIGGER ledger_append_only');
+    });
+  } catch (error) {
+    console.error('Error adopting unscoped rows:', error);
+    throw error;
+  }
+}
+
+// Creating a market locks the creator's row so the subsidy check and the lock-up can't race
+async function createMarket(marketData) {
+  try {
+    await withTransaction(async (client) => {
+      const creator = (await lockUsers([marketData.creator], marketData.teamId, client)).get(marketData.creator);
+      const available = creator.bankroll - creator.total_staked;
+      if ((marketData.subsidy || 0) > available) {
+        throw new Error(`Creating this market locks a $${marketData.subsidy} subsidy. Available: $${available}`);
+      }
+      
+      await client.query(`
+        INSERT INTO markets (id, question, creator, deadline, probability, total_stake, active, scoring_rule, liquidity, subsidy, q_yes, q_no, market_type, outcomes, outcome_shares, scalar_min, scalar_max, scalar_unit, channel_id, description, resolution_criteria, team_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
+      `, [
+        marketData.id,
+        marketData.question,
+        marketData.creator,
+        marketData.deadline,
+        marketData.probability,
+        marketData.totalStake,
+        marketData.active,
+        isLmsrMarket(marketData) ? null : marketData.scoringRule || SCORING_RULE,
+        marketData.liquidity,
+        marketData.subsidy || 0,
+        marketData.qYes || 0,
+        marketData.qNo || 0,
+        marketData.marketType || 'binary',
+        marketData.outcomes ? JSON.stringify(marketData.outcomes) : null,
+        marketData.outcomes ? JSON.stringify(marketData.outcomes.map(() => 0)) : null,
+        marketData.scalar ? marketData.scalar.min : null,
+        marketData.scalar ? marketData.scalar.max : null,
+        marketData.scalar ? marketData.scalar.unit : null,
+        marketData.channelId || null,
+        marketData.description || null,
+        marketData.resolutionCriteria || null,
+        marketData.teamId
+      ]);
+      await recordMarketSnapshot(marketData.id, null, client);
+
+      // Update creator's markets_created count and lock the market maker subsidy
+      await client.query(`
+        UPDATE users 
+        SET markets_created = markets_created + 1,
+            total_staked = total_staked + $2,
+            last_active = CURRENT_TIMESTAMP 
+        WHERE id = $1 AND team_id = $3
+      `, [marketData.creator, marketData.subsidy || 0, marketData.teamId]);
+      await recordLedgerEntry({
+        type: 'subsidy_lock',
+        from: cashAccount(marketData.creator, marketData.teamId),
+        to: stakedAccount(marketData.creator, marketData.teamId),
+        amount: marketData.subsidy || 0,
+        userId: marketData.creator,
+        marketId: marketData.id
+      }, client);
+    });
   } catch (error) {
     console.error('Error creating market:', error);
     throw error;
   }
 }
 
-async function updateMarket(marketId, updates) {
+async function updateMarket(marketId, updates, client = pool) {
   try {
     const fields = Object.keys(updates).map((key, index) => `${key} = $${index + 2}`).join(', ');
     const values = [marketId, ...Object.values(updates)];
-    await pool.query(`UPDATE markets SET ${fields} WHERE id = $1`, values);
+    await client.query(`UPDATE markets SET ${fields} WHERE id = $1`, values);
   } catch (error) {
     console.error('Error updating market:', error);
     throw error;
   }
 }
 
-async function getMarketBets(marketId) {
+async function getMarketBets(marketId, client = pool) {
   try {
-    const result = await pool.query('SELECT * FROM bets WHERE market_id = $1', [marketId]);
+    const result = await client.query('SELECT * FROM bets WHERE market_id = $1 ORDER BY id', [marketId]);
     return result.rows;
   } catch (error) {
     console.error('Error getting market bets:', error);
@@ -251,9 +874,19 @@ async function getMarketBets(marketId) {
   }
 }
 
-async function getUserBet(marketId, userId) {
+async function getParticipantCount(marketId) {
+  try {
+    const result = await pool.query('SELECT COUNT(*) AS count FROM bets WHERE market_id = $1 AND stake > 0', [marketId]);
+    return parseInt(result.rows[0].count);
+  } catch (error) {
+    console.error('Error counting participants:', error);
+    throw error;
+  }
+}
+
+async function getUserBet(marketId, userId, client = pool) {
   try {
-    const result = await pool.query('SELECT * FROM bets WHERE market_id = $1 AND user_id = $2', [marketId, userId]);
+    const result = await client.query('SELECT * FROM bets WHERE market_id = $1 AND user_id = $2', [marketId, userId]);
     return result.rows.length > 0 ? result.rows[0] : null;
   } catch (error) {
     console.error('Error getting user bet:', error);
@@ -261,9 +894,9 @@ async function getUserBet(marketId, userId) {
   }
 }
 
-async function upsertBet(marketId, userId, stake, probability) {
+async function upsertBet(marketId, userId, stake, probability, client = pool) {
   try {
-    await pool.query(`
+    const result = await client.query(`
       INSERT INTO bets (market_id, user_id, stake, probability, updated_at)
       VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
       ON CONFLICT (market_id, user_id)
@@ -271,918 +904,4511 @@ async function upsertBet(marketId, userId, stake, probability) {
         stake = EXCLUDED.stake,
         probability = EXCLUDED.probability,
         updated_at = CURRENT_TIMESTAMP
+      RETURNING id
     `, [marketId, userId, stake, probability]);
+    return result.rows[0].id;
   } catch (error) {
     console.error('Error upserting bet:', error);
     throw error;
   }
 }
 
-async function getActiveMarkets() {
+// LMSR positions accumulate: every trade adds its shares and cost to the user's row
+async function addToPosition(marketId, userId, cost, probability, sharesYes, sharesNo, client = pool) {
   try {
-    const result = await pool.query(`
-      SELECT * FROM markets 
-      WHERE active = true AND resolved = false 
-      ORDER BY created_at DESC
-    `);
-    return result.rows;
+    const result = await client.query(`
+      INSERT INTO bets (market_id, user_id, stake, probability, shares_yes, shares_no, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+      ON CONFLICT (market_id, user_id)
+      DO UPDATE SET 
+        stake = bets.stake + EXCLUDED.stake,
+        probability = EXCLUDED.probability,
+        shares_yes = bets.shares_yes + EXCLUDED.shares_yes,
+        shares_no = bets.shares_no + EXCLUDED.shares_no,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING id
+    `, [marketId, userId, cost, probability, sharesYes, sharesNo]);
+    return result.rows[0].id;
   } catch (error) {
-    console.error('Error getting active markets:', error);
+    console.error('Error adding to position:', error);
     throw error;
   }
 }
 
-// Leaderboard queries (safe fallbacks for missing columns)
-async function getLeaderboardByAccuracy(limit = 10) {
+// Multiple-choice positions hold a share count per outcome, so they're summed here rather than in SQL
+async function addToCategoricalPosition(marketId, userId, cost, probability, probabilities, shares, scalarForecast = null, client = pool) {
   try {
-    const result = await pool.query(`
-      SELECT id, bankroll, bets_placed, bets_won, accuracy,
-             COALESCE(total_profit, 0) as total_profit,
-             COALESCE(prediction_streak, 0) as prediction_streak,
-             COALESCE(best_streak, 0) as best_streak,
-             COALESCE(markets_created, 0) as markets_created
-      FROM users 
-      WHERE bets_placed >= 3
-      ORDER BY accuracy DESC, bets_placed DESC 
-      LIMIT $1
-    `, [limit]);
-    return result.rows;
+    const existing = await getUserBet(marketId, userId, client);
+    const total = existing && existing.outcome_shares
+      ? existing.outcome_shares.map((held, i) => parseFloat(held) + shares[i])
+      : shares;
+    
+    const result = await client.query(`
+      INSERT INTO bets (market_id, user_id, stake, probability, probabilities, outcome_shares, point_estimate, interval_low, interval_high, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP)
+      ON CONFLICT (market_id, user_id)
+      DO UPDATE SET 
+        stake = bets.stake + EXCLUDED.stake,
+        probability = EXCLUDED.probability,
+        probabilities = EXCLUDED.probabilities,
+        outcome_shares = EXCLUDED.outcome_shares,
+        point_estimate = EXCLUDED.point_estimate,
+        interval_low = EXCLUDED.interval_low,
+        interval_high = EXCLUDED.interval_high,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING id
+    `, [
+      marketId, userId, cost, probability, JSON.stringify(probabilities), JSON.stringify(total),
+      scalarForecast ? scalarForecast.point : null,
+      scalarForecast ? scalarForecast.low : null,
+      scalarForecast ? scalarForecast.high : null
+    ]);
+    return result.rows[0].id;
   } catch (error) {
-    console.error('Error getting accuracy leaderboard:', error);
-    // Fallback to basic query if new columns don't exist
-    try {
-      const result = await pool.query(`
-        SELECT id, bankroll, bets_placed, bets_won, accuracy
-        FROM users 
-        WHERE bets_placed >= 3
-        ORDER BY accuracy DESC, bets_placed DESC 
-        LIMIT $1
-      `, [limit]);
-      return result.rows.map(row => ({
-        ...row,
-        total_profit: 0,
-        prediction_streak: 0,
-        best_streak: 0,
-        markets_created: 0
-      }));
-    } catch (fallbackError) {
-      console.error('Fallback query failed:', fallbackError);
-      throw fallbackError;
+    console.error('Error adding to categorical position:', error);
+    throw error;
+  }
+}
+
+// Selling takes shares and stake back out of a position. A sold-off position keeps its
+// row (the ledger and revisions point at it) with a stake of 0, which is what marks it closed.
+async function reducePosition(bet, stake, shares, client = pool) {
+  try {
+    if (bet.outcome_shares) {
+      await client.query('UPDATE bets SET stake = $2, outcome_shares = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $1', [bet.id, stake, JSON.stringify(shares)]);
+    } else {
+      await client.query('UPDATE bets SET stake = $2, shares_yes = $3, shares_no = $4, updated_at = CURRENT_TIMESTAMP WHERE id = $1', [bet.id, stake, shares[0], shares[1]]);
     }
+  } catch (error) {
+    console.error('Error reducing position:', error);
+    throw error;
+  }
+}
+
+// Positions are kept up to date in `bets`; this appends the trade that produced the
+// current one to the user's revision log and the market's price history. `oldBet` is
+// the position before the trade, or null for the user's first.
+async function recordTrade(marketId, userId, oldBet, client = pool) {
+  try {
+    const bet = await getUserBet(marketId, userId, client);
+    const revision = await client.query(`
+      INSERT INTO forecast_revisions (bet_id, market_id, user_id, old_probability, new_probability, old_stake, new_stake, probabilities, point_estimate, interval_low, interval_high)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING id
+    `, [
+      bet.id, marketId, userId,
+      oldBet ? oldBet.probability : null, bet.probability,
+      oldBet ? oldBet.stake : null, bet.stake,
+      bet.probabilities ? JSON.stringify(bet.probabilities) : null,
+      bet.point_estimate, bet.interval_low, bet.interval_high
+    ]);
+
+    await recordMarketSnapshot(marketId, revision.rows[0].id, client);
+  } catch (error) {
+    console.error('Error recording trade:', error);
+    throw error;
+  }
+}
+
+async function recordMarketSnapshot(marketId, revisionId = null, client = pool) {
+  try {
+    const market = await getMarket(marketId, client);
+    await client.query(`
+      INSERT INTO market_history (market_id, revision_id, probability, outcome_probabilities, total_stake)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [
+      marketId, revisionId, market.probability,
+      hasOutcomeVector(market) ? JSON.stringify(getOutcomePrices(market)) : null,
+      market.total_stake
+    ]);
+  } catch (error) {
+    console.error('Error recording market snapshot:', error);
+    throw error;
   }
 }
 
-async function getLeaderboardByProfit(limit = 10) {
+// Consensus after every trade, oldest first, with who moved it
+async function getMarketHistory(marketId) {
   try {
     const result = await pool.query(`
-      SELECT id, bankroll, bets_placed, bets_won, accuracy,
-             COALESCE(total_profit, 0) as total_profit,
-             COALESCE(biggest_win, 0) as biggest_win,
-             COALESCE(prediction_streak, 0) as prediction_streak,
-             COALESCE(best_streak, 0) as best_streak
-      FROM users 
-      WHERE bets_placed >= 1
-      ORDER BY COALESCE(total_profit, 0) DESC, bankroll DESC 
-      LIMIT $1
-    `, [limit]);
+      SELECT h.*, r.user_id, r.new_probability AS forecast
+      FROM market_history h
+      LEFT JOIN forecast_revisions r ON r.id = h.revision_id
+      WHERE h.market_id = $1
+      ORDER BY h.id
+    `, [marketId]);
     return result.rows;
   } catch (error) {
-    console.error('Error getting profit leaderboard:', error);
-    // Fallback: rank by bankroll
-    try {
-      const result = await pool.query(`
-        SELECT id, bankroll, bets_placed, bets_won, accuracy
-        FROM users 
-        WHERE bets_placed >= 1
-        ORDER BY bankroll DESC 
-        LIMIT $1
-      `, [limit]);
-      return result.rows.map(row => ({
-        ...row,
-        total_profit: row.bankroll - 1000, // Estimate profit
-        biggest_win: 0,
-        prediction_streak: 0,
-        best_streak: 0
-      }));
-    } catch (fallbackError) {
-      console.error('Fallback query failed:', fallbackError);
-      throw fallbackError;
-    }
+    console.error('Error getting market history:', error);
+    throw error;
   }
 }
 
-async function getLeaderboardByVolume(limit = 10) {
+async function getForecastRevisions(marketId, userId) {
   try {
     const result = await pool.query(`
-      SELECT id, bankroll, bets_placed, bets_won, accuracy,
-             COALESCE(total_profit, 0) as total_profit,
-             COALESCE(markets_created, 0) as markets_created
-      FROM users 
-      WHERE bets_placed >= 1
-      ORDER BY bets_placed DESC, COALESCE(markets_created, 0) DESC 
-      LIMIT $1
-    `, [limit]);
+      SELECT * FROM forecast_revisions
+      WHERE market_id = $1 AND user_id = $2
+      ORDER BY id
+    `, [marketId, userId]);
     return result.rows;
   } catch (error) {
-    console.error('Error getting volume leaderboard:', error);
-    // Fallback to basic query
-    try {
-      const result = await pool.query(`
-        SELECT id, bankroll, bets_placed, bets_won, accuracy
-        FROM users 
-        WHERE bets_placed >= 1
-        ORDER BY bets_placed DESC 
-        LIMIT $1
-      `, [limit]);
-      return result.rows.map(row => ({
-        ...row,
-        total_profit: 0,
-        markets_created: 0
-      }));
-    } catch (fallbackError) {
-      console.error('Fallback query failed:', fallbackError);
-      throw fallbackError;
-    }
+    console.error('Error getting forecast revisions:', error);
+    throw error;
   }
 }
 
-async function getLeaderboardByStreak(limit = 10) {
+// A workspace's open markets, or just the ones posted in one of its channels
+async function getActiveMarkets(teamId, channelId = null) {
   try {
     const result = await pool.query(`
-      SELECT id, bankroll, bets_placed, bets_won, accuracy,
-             COALESCE(prediction_streak, 0) as prediction_streak,
-             COALESCE(best_streak, 0) as best_streak
-      FROM users 
-      WHERE bets_placed >= 1
-      ORDER BY COALESCE(best_streak, 0) DESC, COALESCE(prediction_streak, 0) DESC, accuracy DESC 
-      LIMIT $1
-    `, [limit]);
+      SELECT * FROM markets 
+      WHERE active = true AND resolved = false AND closed = false AND deadline > CURRENT_TIMESTAMP
+        AND team_id = $1 AND ($2::varchar IS NULL OR channel_id = $2)
+      ORDER BY created_at DESC
+    `, [teamId, channelId]);
     return result.rows;
   } catch (error) {
-    console.error('Error getting streak leaderboard:', error);
-    // Fallback to accuracy ranking
-    try {
-      const result = await pool.query(`
-        SELECT id, bankroll, bets_placed, bets_won, accuracy
-        FROM users 
-        WHERE bets_placed >= 1
-        ORDER BY accuracy DESC 
-        LIMIT $1
-      `, [limit]);
-      return result.rows.map(row => ({
-        ...row,
-        prediction_streak: 0,
-        best_streak: 0
-      }));
-    } catch (fallbackError) {
-      console.error('Fallback query failed:', fallbackError);
-      throw fallbackError;
-    }
+    console.error('Error getting active markets:', error);
+    throw error;
   }
 }
 
-// Perfect stake formula
-function calculateStake(desired_amount) {
-    return Math.min(Math.max(desired_amount, 1), 100); // $1 min, $100 max
-}
+// One page of a workspace's markets for the market browser, plus how many match in all
+const MARKET_SORTS = {
+  recent: 'created_at DESC',
+  deadline: 'deadline ASC, created_at DESC',
+  volume: 'total_stake DESC, created_at DESC'
+};
 
-// Perfect market update formula
-function updateMarketProbability(current_stakes, current_probs, new_stake, new_prob, old_stake = 0, old_prob = 0) {
-    const current_total = current_stakes.reduce((sum, stake) => sum + stake, 0);
-    
-    if (current_total === 0) return new_prob; // First bet
-    
-    const new_total = current_total - old_stake + new_stake;
-    const weighted_sum = current_stakes.reduce((sum, stake, i) => sum + stake * current_probs[i], 0) 
-                        - old_stake * old_prob + new_stake * new_prob;
+const MARKET_STATUS_FILTERS = {
+  open: 'active = true AND resolved = false AND closed = false AND deadline > CURRENT_TIMESTAMP',
+  overdue: 'resolved = false AND deadline <= CURRENT_TIMESTAMP',
+  resolved: 'resolved = true'
+};
+
+async function searchMarkets(teamId, filters, limit, offset) {
+  const conditions = ['team_id = $1', MARKET_STATUS_FILTERS[filters.status]];
+  const values = [teamId];
+  const where = (sql, value) => {
+    values.push(value);
+    conditions.push(sql.replace('?', `$${values.length}`));
+  };
+  
+  if (filters.channelId) where('channel_id = ?', filters.channelId);
+  if (filters.creator) where('creator = ?', filters.creator);
+  // Tags are #hashtags in the question or description (tag names are only word characters and dashes)
+  if (filters.tag) where(`question || ' ' || COALESCE(description, '') ~* ?`, `#${filters.tag}([^[:alnum:]_-]|$)`);
+  if (filters.closingDays) where(`deadline <= CURRENT_TIMESTAMP + ? * INTERVAL '1 day'`, filters.closingDays);
+  for (const word of (filters.search || '').split(/\s+/).filter(Boolean)) {
+    where('POSITION(LOWER(?) IN LOWER(question)) > 0', word);
+  }
+  
+  try {
+    const result = await pool.query(`
+      SELECT *, COUNT(*) OVER () AS total_count FROM markets
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${MARKET_SORTS[filters.sort]}
+      LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}
+    `, values);
+    return {
+      markets: result.rows,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  } catch (error) {
+    console.error('Error searching markets:', error);
+    throw error;
+  }
+}
+
+// Flip markets past their deadline to closed. The UPDATE claims each market once,
+// so a restart never announces the same close twice.
+async function closeExpiredMarkets() {
+  try {
+    const result = await pool.query(`
+      UPDATE markets SET closed = true, closed_at = CURRENT_TIMESTAMP
+      WHERE active = true AND resolved = false AND closed = false AND deadline <= CURRENT_TIMESTAMP
+      RETURNING *
+    `);
+    return result.rows;
+  } catch (error) {
+    console.error('Error closing expired markets:', error);
+    throw error;
+  }
+}
+
+// Closed, unresolved markets whose resolver is due another reminder
+async function claimResolveReminders(intervalHours) {
+  try {
+    const result = await pool.query(`
+      UPDATE markets SET last_reminded_at = CURRENT_TIMESTAMP, reminder_count = reminder_count + 1
+      WHERE closed = true AND resolved = false
+        AND (last_reminded_at IS NULL OR last_reminded_at <= CURRENT_TIMESTAMP - make_interval(secs => $1))
+      RETURNING *
+    `, [intervalHours * 3600]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error claiming resolve reminders:', error);
+    throw error;
+  }
+}
+
+// Ledger. Every bankroll movement is one append-only entry moving `amount` from one
+// account to another, so the accounts always sum to zero. A user has a cash account
+// and a staked account in each workspace they play in: bankroll is cash + staked and
+// total_staked is staked. Market accounts collect the winnings and losses settled
+// against them.
+const LEDGER_SYSTEM_ACCOUNT = 'system';
+
+function cashAccount(userId, teamId) {
+  return `user:${teamId}:${userId}:cash`;
+}
+
+function stakedAccount(userId, teamId) {
+  return `user:${teamId}:${userId}:staked`;
+}
+
+function marketAccount(marketId) {
+  return `market:${marketId}`;
+}
+
+// Negative amounts flip direction; zero-amount movements aren't recorded
+async function recordLedgerEntry(entry, client = pool) {
+  const { type, from, to, amount, userId, marketId = null, betId = null, memo = null } = entry;
+  if (!amount) return;
+
+  try {
+    await client.query(`
+      INSERT INTO ledger (entry_type, from_account, to_account, amount, user_id, market_id, bet_id, memo)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [type, amount > 0 ? from : to, amount > 0 ? to : from, Math.abs(amount), userId, marketId, betId, memo]);
+  } catch (error) {
+    console.error('Error recording ledger entry:', error);
+    throw error;
+  }
+}
+
+// Bankroll and total_staked as the ledger sees them
+async function getLedgerBalances(userId, teamId, client = pool) {
+  try {
+    const result = await client.query(`
+      SELECT
+        COALESCE(SUM(CASE WHEN to_account = $2 THEN amount WHEN from_account = $2 THEN -amount ELSE 0 END), 0) AS cash,
+        COALESCE(SUM(CASE WHEN to_account = $3 THEN amount WHEN from_account = $3 THEN -amount ELSE 0 END), 0) AS staked
+      FROM ledger WHERE user_id = $1
+    `, [userId, cashAccount(userId, teamId), stakedAccount(userId, teamId)]);
+    const cash = parseInt(result.rows[0].cash);
+    const staked = parseInt(result.rows[0].staked);
+    return { bankroll: cash + staked, total_staked: staked };
+  } catch (error) {
+    console.error('Error getting ledger balances:', error);
+    throw error;
+  }
+}
+
+async function getLedgerEntries(userId, teamId, limit = 15) {
+  try {
+    const result = await pool.query(`
+      SELECT * FROM ledger
+      WHERE user_id = $1 AND (from_account IN ($2, $3) OR to_account IN ($2, $3))
+      ORDER BY id DESC
+      LIMIT $4
+    `, [userId, cashAccount(userId, teamId), stakedAccount(userId, teamId), limit]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting ledger entries:', error);
+    throw error;
+  }
+}
+
+// The user's bankroll after every ledger entry, oldest first
+async function getBankrollHistory(userId, teamId) {
+  try {
+    const result = await pool.query(`
+      SELECT created_at, SUM(
+        CASE WHEN to_account IN ($2, $3) THEN amount ELSE 0 END -
+        CASE WHEN from_account IN ($2, $3) THEN amount ELSE 0 END
+      ) OVER (ORDER BY id) AS bankroll
+      FROM ledger WHERE user_id = $1 AND (from_account IN ($2, $3) OR to_account IN ($2, $3))
+      ORDER BY id
+    `, [userId, cashAccount(userId, teamId), stakedAccount(userId, teamId)]);
+    return result.rows.map(row => ({ created_at: row.created_at, bankroll: parseInt(row.bankroll) }));
+  } catch (error) {
+    console.error('Error getting bankroll history:', error);
+    throw error;
+  }
+}
+
+// Users whose cached bankroll or total_staked disagrees with their ledger, or whose staked
+// balance isn't exactly their open positions plus the subsidies of their open markets.
+// Optionally only in one workspace.
+async function reconcileLedger(teamId = null) {
+  try {
+    const result = await pool.query(`
+      WITH balances AS (
+        SELECT account, SUM(amount) AS balance FROM (
+          SELECT to_account AS account, amount FROM ledger
+          UNION ALL
+          SELECT from_account, -amount FROM ledger
+        ) movements
+        GROUP BY account
+      )
+      SELECT * FROM (
+        SELECT u.id, u.team_id, u.bankroll, u.total_staked,
+               COALESCE(cash.balance, 0) + COALESCE(staked.balance, 0) AS ledger_bankroll,
+               COALESCE(staked.balance, 0) AS ledger_staked,
+               COALESCE((SELECT SUM(b.stake) FROM bets b JOIN markets m ON m.id = b.market_id
+                         WHERE b.user_id = u.id AND m.team_id = u.team_id AND m.resolved = false), 0) +
+               COALESCE((SELECT SUM(m.subsidy) FROM markets m
+                         WHERE m.creator = u.id AND m.team_id = u.team_id AND m.resolved = false), 0) AS open_staked
+        FROM users u
+        LEFT JOIN balances cash ON cash.account = 'user:' || u.team_id || ':' || u.id || ':cash'
+        LEFT JOIN balances staked ON staked.account = 'user:' || u.team_id || ':' || u.id || ':staked'
+        WHERE ($1::varchar IS NULL OR u.team_id = $1)
+      ) checked
+      WHERE bankroll <> ledger_bankroll OR total_staked <> ledger_staked OR ledger_staked <> open_staked
+      ORDER BY team_id, id
+    `, [teamId]);
+    return result.rows.map(row => ({
+      ...row,
+      ledger_bankroll: parseInt(row.ledger_bankroll),
+      ledger_staked: parseInt(row.ledger_staked),
+      open_staked: parseInt(row.open_staked)
+    }));
+  } catch (error) {
+    console.error('Error reconciling ledger:', error);
+    throw error;
+  }
+}
+
+// Admin credit or debit. Locked stakes can't be taken away, only available cash.
+async function adjustBankroll(userId, teamId, amount, reason, adminId) {
+  return withTransaction(async (client) => {
+    const user = (await lockUsers([userId], teamId, client)).get(userId);
+    if (user.bankroll + amount < user.total_staked) {
+      throw new Error(`<@${userId}> only has $${user.bankroll - user.total_staked} available`);
+    }
+
+    await updateUser(userId, teamId, { bankroll: user.bankroll + amount }, client);
+    await recordLedgerEntry({
+      type: 'admin_adjustment',
+      from: LEDGER_SYSTEM_ACCOUNT,
+      to: cashAccount(userId, teamId),
+      amount,
+      userId,
+      memo: `${reason || 'No reason given'} (by <@${adminId}>)`
+    }, client);
+
+    return getUser(userId, teamId, client);
+  });
+}
+
+// Back to the workspace's starting balance with nothing staked, recorded as ledger entries
+// that bring the user's accounts to those balances. Only once they're out of every open market.
+async function resetUser(userId, teamId) {
+  return withTransaction(async (client) => {
+    await lockUsers([userId], teamId, client);
+
+    // Open positions and subsidies still settle later, so they'd be paid out a second time
+    const open = await client.query(`
+      SELECT
+        (SELECT COUNT(*) FROM bets b JOIN markets m ON m.id = b.market_id
+         WHERE b.user_id = $1 AND m.team_id = $2 AND b.stake > 0 AND m.resolved = false) +
+        (SELECT COUNT(*) FROM markets WHERE creator = $1 AND team_id = $2 AND resolved = false AND subsidy > 0) AS count
+    `, [userId, teamId]);
+    if (parseInt(open.rows[0].count) > 0) {
+      throw new Error('Still in open markets. Sell those positions or wait for the markets to resolve, then reset');
+    }
+
+    const { starting_balance } = await getEconomy(teamId, client);
+    const balances = await getLedgerBalances(userId, teamId, client);
+
+    await recordLedgerEntry({ type: 'reset', from: stakedAccount(userId, teamId), to: cashAccount(userId, teamId), amount: balances.total_staked, userId }, client);
+    await recordLedgerEntry({ type: 'reset', from: LEDGER_SYSTEM_ACCOUNT, to: cashAccount(userId, teamId), amount: starting_balance - balances.bankroll, userId }, client);
+
+    await client.query(`
+      UPDATE users SET
+        bankroll = $2,
+        total_staked = 0,
+        bets_placed = 0,
+        bets_won = 0,
+        accuracy = 0.5,
+        total_profit = 0,
+        biggest_win = 0,
+        prediction_streak = 0,
+        best_streak = 0,
+        markets_created = 0
+      WHERE id = $1 AND team_id = $3
+    `, [userId, starting_balance, teamId]);
+  });
+}
+
+// Users due their periodic allowance in each workspace they play in: a full interval has
+// passed since their last one (or since they joined) and their bankroll is under the cap
+async function getAllowanceRecipients() {
+  const result = await pool.query(`
+    SELECT u.id, u.team_id FROM users u
+    LEFT JOIN workspace_settings ws ON ws.team_id = u.team_id
+    WHERE u.team_id <> '' AND COALESCE(ws.allowance, $1) > 0
+      AND u.bankroll < COALESCE(ws.allowance_cap, $2)
+      AND COALESCE(u.last_allowance_at, u.created_at) <= CURRENT_TIMESTAMP - COALESCE(ws.allowance_days, $3) * INTERVAL '1 day'
+  `, [ECONOMY_DEFAULTS.allowance, ECONOMY_DEFAULTS.allowance_cap, ECONOMY_DEFAULTS.allowance_days]);
+  return result.rows;
+}
+
+// Pay one allowance, topping the bankroll up to the cap at most. The due check is repeated
+// under the lock so overlapping scheduler runs can't pay twice. Returns the amount paid.
+async function grantAllowance(userId, teamId) {
+  return withTransaction(async (client) => {
+    const user = (await lockUsers([userId], teamId, client)).get(userId);
+    const economy = await getEconomy(teamId, client);
+    const amount = Math.min(economy.allowance, economy.allowance_cap - user.bankroll);
+    if (amount <= 0) return 0;
+
+    const claimed = await client.query(`
+      UPDATE users SET last_allowance_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND team_id = $3 AND COALESCE(last_allowance_at, created_at) <= CURRENT_TIMESTAMP - $2 * INTERVAL '1 day'
+    `, [userId, economy.allowance_days, teamId]);
+    if (claimed.rowCount === 0) return 0;
+
+    await updateUser(userId, teamId, { bankroll: user.bankroll + amount }, client);
+    await recordLedgerEntry({
+      type: 'allowance',
+      from: LEDGER_SYSTEM_ACCOUNT,
+      to: cashAccount(userId, teamId),
+      amount,
+      userId,
+      memo: `Every ${economy.allowance_days} day${economy.allowance_days === 1 ? '' : 's'}`
+    }, client);
+    return amount;
+  });
+}
+
+// One-time bailout for someone who has lost everything. It's flagged on the leaderboards
+// for good, so it isn't a free reset.
+async function takeBailout(userId, teamId) {
+  return withTransaction(async (client) => {
+    const user = (await lockUsers([userId], teamId, client)).get(userId);
+    const { bailout } = await getEconomy(teamId, client);
+    if (bailout <= 0) {
+      throw new Error('Bailouts are turned off in this workspace');
+    }
+    if (user.bailed_out_at) {
+      throw new Error(`You already took your bailout on ${formatSlackDate(user.bailed_out_at, false)}`);
+    }
+    if (user.total_staked > 0) {
+      throw new Error(`You still have $${user.total_staked} riding on open markets. Bailouts are only for players with nothing left`);
+    }
+    if (user.bankroll > 0) {
+      throw new Error(`You still have $${user.bankroll}. Bailouts are only for players at $0`);
+    }
+
+    await client.query('UPDATE users SET bankroll = bankroll + $2, bailed_out_at = CURRENT_TIMESTAMP, last_active = CURRENT_TIMESTAMP WHERE id = $1 AND team_id = $3', [userId, bailout, teamId]);
+    await recordLedgerEntry({
+      type: 'bailout',
+      from: LEDGER_SYSTEM_ACCOUNT,
+      to: cashAccount(userId, teamId),
+      amount: bailout,
+      userId,
+      memo: 'One-time bailout'
+    }, client);
+    return getUser(userId, teamId, client);
+  });
+}
+
+// Everything a user has been handed rather than won: starting balance, allowances, bailout
+async function getUserGrants(userId, teamId) {
+  const result = await pool.query(`
+    SELECT entry_type, SUM(amount)::int AS total, COUNT(*)::int AS count
+    FROM ledger
+    WHERE user_id = $1 AND to_account = $2 AND entry_type IN ('starting_balance', 'allowance', 'bailout')
+    GROUP BY entry_type
+  `, [userId, cashAccount(userId, teamId)]);
+  return Object.fromEntries(result.rows.map(row => [row.entry_type, row]));
+}
+
+// Leaderboard queries. A null limit returns every ranked user.
+async function getLeaderboardByAccuracy(teamId, limit = 10, client = pool) {
+  try {
+    const result = await client.query(`
+      SELECT id, bankroll, bets_placed, bets_won, accuracy,
+             total_profit, prediction_streak, best_streak, markets_created, bailed_out_at
+      FROM users 
+      WHERE team_id = $1 AND bets_placed >= 3
+      ORDER BY accuracy DESC, bets_placed DESC 
+      LIMIT $2
+    `, [teamId, limit]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting accuracy leaderboard:', error);
+    throw error;
+  }
+}
+
+async function getLeaderboardByProfit(teamId, limit = 10, client = pool) {
+  try {
+    const result = await client.query(`
+      SELECT id, bankroll, bets_placed, bets_won, accuracy,
+             total_profit, biggest_win, prediction_streak, best_streak, bailed_out_at
+      FROM users 
+      WHERE team_id = $1 AND bets_placed >= 1
+      ORDER BY total_profit DESC, bankroll DESC 
+      LIMIT $2
+    `, [teamId, limit]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting profit leaderboard:', error);
+    throw error;
+  }
+}
+
+async function getLeaderboardByVolume(teamId, limit = 10, client = pool) {
+  try {
+    const result = await client.query(`
+      SELECT id, bankroll, bets_placed, bets_won, accuracy,
+             total_profit, markets_created, bailed_out_at
+      FROM users 
+      WHERE team_id = $1 AND bets_placed >= 1
+      ORDER BY bets_placed DESC, markets_created DESC 
+      LIMIT $2
+    `, [teamId, limit]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting volume leaderboard:', error);
+    throw error;
+  }
+}
+
+async function getLeaderboardByStreak(teamId, limit = 10, client = pool) {
+  try {
+    const result = await client.query(`
+      SELECT id, bankroll, bets_placed, bets_won, accuracy,
+             prediction_streak, best_streak, bailed_out_at
+      FROM users 
+      WHERE team_id = $1 AND bets_placed >= 1
+      ORDER BY best_streak DESC, prediction_streak DESC, accuracy DESC 
+      LIMIT $2
+    `, [teamId, limit]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting streak leaderboard:', error);
+    throw error;
+  }
+}
+
+const LEADERBOARD_TYPES = {
+  accuracy: getLeaderboardByAccuracy,
+  profit: getLeaderboardByProfit,
+  volume: getLeaderboardByVolume,
+  streak: getLeaderboardByStreak
+};
+
+// Seasons. While one runs, leaderboard stats count from its start; ending it archives the
+// final standings of every leaderboard and starts everyone's stats afresh. Rolling seasons
+// end on the first of the month (or quarter), UTC, and the next one starts straight away.
+const SEASON_ROLLOVERS = ['monthly', 'quarterly'];
+
+// "2025-06" or "2025-Q2", the period a date falls in
+function seasonPeriodName(date, rollover) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  return rollover === 'monthly'
+    ? `${year}-${String(month + 1).padStart(2, '0')}`
+    : `${year}-Q${Math.floor(month / 3) + 1}`;
+}
+
+// When the period a date falls in is over
+function seasonPeriodEnd(date, rollover) {
+  const months = rollover === 'monthly' ? 1 : 3;
+  const month = date.getUTCMonth();
+  return new Date(Date.UTC(date.getUTCFullYear(), month - month % months + months, 1));
+}
+
+async function getCurrentSeason(teamId, client = pool) {
+  try {
+    const result = await client.query('SELECT * FROM seasons WHERE team_id = $1 AND ended_at IS NULL', [teamId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting current season:', error);
+    throw error;
+  }
+}
+
+async function getSeasonByName(teamId, name) {
+  try {
+    const result = await pool.query('SELECT * FROM seasons WHERE team_id = $1 AND LOWER(name) = LOWER($2)', [teamId, name]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting season:', error);
+    throw error;
+  }
+}
+
+// Zero every leaderboard stat in a workspace. The caller holds the users' row locks.
+async function resetSeasonStats(teamId, client) {
+  await client.query(`
+    UPDATE users SET
+      bets_placed = 0,
+      bets_won = 0,
+      accuracy = 0.5,
+      total_profit = 0,
+      biggest_win = 0,
+      prediction_streak = 0,
+      best_streak = 0,
+      markets_created = 0
+    WHERE team_id = $1
+  `, [teamId]);
+}
+
+// Starting a season resets the stats, so nothing earned before it (all-time for the first
+// season, or between seasons) counts towards it. Bankrolls are left alone.
+async function startSeason(teamId, { name, rollover = null, resetBankrolls = false, channelId = null, startedBy = null, startedAt = new Date() }) {
+  const seasonName = name || seasonPeriodName(startedAt, rollover || 'quarterly');
+  try {
+    return await withTransaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO seasons (team_id, name, rollover, reset_bankrolls, channel_id, started_by, started_at, ends_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `, [teamId, seasonName, rollover, resetBankrolls, channelId, startedBy, startedAt, rollover ? seasonPeriodEnd(startedAt, rollover) : null]);
+
+      // Same lock order as lockUsers(), so resolutions wait rather than slip in before the reset
+      await client.query('SELECT id FROM users WHERE team_id = $1 ORDER BY id FOR UPDATE', [teamId]);
+      await resetSeasonStats(teamId, client);
+      return result.rows[0];
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new Error(error.constraint === 'idx_seasons_team_current'
+        ? 'A season is already running. End it first with `/predict season end`'
+        : `There's already a season called ${seasonName}. Give this one a name`);
+    }
+    console.error('Error starting season:', error);
+    throw error;
+  }
+}
+
+// Archive a season's standings and reset the workspace's stats. With resetBankrolls every
+// bankroll goes back to the workspace's starting balance available, open stakes staying
+// locked on top. Returns the archived standings by leaderboard (and the balance everyone
+// was reset to), or null if the season had already ended.
+async function endSeason(seasonId, resetBankrolls = false) {
+  return withTransaction(async (client) => {
+    const locked = await client.query('SELECT * FROM seasons WHERE id = $1 AND ended_at IS NULL FOR UPDATE', [seasonId]);
+    const season = locked.rows[0];
+    if (!season) return null;
+
+    // Same lock order as lockUsers(), so bets wait for the archive rather than slip past it
+    const users = await client.query('SELECT * FROM users WHERE team_id = $1 ORDER BY id FOR UPDATE', [season.team_id]);
+
+    const { starting_balance } = await getEconomy(season.team_id, client);
+    const standings = {};
+    for (const [board, getLeaderboard] of Object.entries(LEADERBOARD_TYPES)) {
+      standings[board] = await getLeaderboard(season.team_id, null, client);
+      await client.query(`
+        INSERT INTO season_standings (season_id, board, rank, user_id, stats)
+        SELECT $1, $2, entry.rank, entry.stats->>'id', entry.stats
+        FROM jsonb_array_elements($3::jsonb) WITH ORDINALITY AS entry(stats, rank)
+      `, [season.id, board, JSON.stringify(standings[board])]);
+    }
+
+    if (resetBankrolls) {
+      for (const user of users.rows) {
+        const bankroll = starting_balance + user.total_staked;
+        await recordLedgerEntry({
+          type: 'season_reset',
+          from: LEDGER_SYSTEM_ACCOUNT,
+          to: cashAccount(user.id, season.team_id),
+          amount: bankroll - user.bankroll,
+          userId: user.id,
+          memo: `End of season ${season.name}`
+        }, client);
+        await updateUser(user.id, season.team_id, { bankroll }, client);
+      }
+    }
+
+    await resetSeasonStats(season.team_id, client);
+
+    const ended = await client.query('UPDATE seasons SET ended_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *', [season.id]);
+    return { season: ended.rows[0], standings, resetTo: resetBankrolls ? starting_balance : null };
+  });
+}
+
+// Rolling seasons whose period is over
+async function getSeasonsDueToRoll() {
+  try {
+    const result = await pool.query('SELECT * FROM seasons WHERE ended_at IS NULL AND ends_at <= CURRENT_TIMESTAMP');
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting seasons due to roll over:', error);
+    throw error;
+  }
+}
+
+// An archived leaderboard, shaped like the live leaderboard rows
+async function getSeasonStandings(seasonId, board, limit = 10) {
+  try {
+    const result = await pool.query(`
+      SELECT stats FROM season_standings
+      WHERE season_id = $1 AND board = $2
+      ORDER BY rank
+      LIMIT $3
+    `, [seasonId, board, limit]);
+    return result.rows.map(row => row.stats);
+  } catch (error) {
+    console.error('Error getting season standings:', error);
+    throw error;
+  }
+}
+
+// A user's rank and stats on each leaderboard of the workspace's past seasons, newest first
+async function getUserSeasonHistory(teamId, userId, limit = 8) {
+  try {
+    const result = await pool.query(`
+      SELECT s.id, s.name, s.started_at, s.ended_at,
+             COALESCE(jsonb_object_agg(st.board, jsonb_build_object('rank', st.rank, 'stats', st.stats))
+                      FILTER (WHERE st.board IS NOT NULL), '{}') AS boards
+      FROM (
+        SELECT * FROM seasons
+        WHERE team_id = $1 AND ended_at IS NOT NULL
+        ORDER BY ended_at DESC
+        LIMIT $3
+      ) s
+      LEFT JOIN season_standings st ON st.season_id = s.id AND st.user_id = $2
+      GROUP BY s.id, s.name, s.started_at, s.ended_at
+      ORDER BY s.ended_at DESC
+    `, [teamId, userId, limit]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting season history:', error);
+    throw error;
+  }
+}
+
+// Admin exports read a workspace's rows in id order, one batch at a time, so a big table
+// never has to fit in memory. `since` filters on when each row was created (markets),
+// last revised (bets) or last active (users).
+const EXPORT_QUERIES = {
+  markets: {
+    firstCursor: '',
+    sql: `
+      SELECT id, question, market_type, creator, channel_id, created_at, deadline, closed, resolved, voided,
+             resolution, outcomes, winning_outcome, resolved_value, resolved_at, probability, total_stake,
+             liquidity, subsidy, scoring_rule, scalar_min, scalar_max, scalar_unit, description, resolution_criteria, void_reason
+      FROM markets
+      WHERE team_id = $1 AND created_at >= $2 AND id > $3
+      ORDER BY id LIMIT $4`
+  },
+  bets: {
+    firstCursor: 0,
+    sql: `
+      SELECT b.id, b.market_id, m.question, b.user_id, b.stake, b.probability, b.probabilities,
+             b.point_estimate, b.interval_low, b.interval_high, b.shares_yes, b.shares_no, b.outcome_shares,
+             b.created_at, b.updated_at
+      FROM bets b
+      JOIN markets m ON m.id = b.market_id
+      WHERE m.team_id = $1 AND b.updated_at >= $2 AND b.id > $3
+      ORDER BY b.id LIMIT $4`
+  },
+  users: {
+    firstCursor: '',
+    sql: `
+      SELECT id, bankroll, total_staked, bets_placed, bets_won, accuracy, total_profit, biggest_win,
+             prediction_streak, best_streak, markets_created, created_at, last_active
+      FROM users
+      WHERE team_id = $1 AND last_active >= $2 AND id > $3
+      ORDER BY id LIMIT $4`
+  }
+};
+const EXPORT_BATCH_SIZE = 500;
+
+// Yields { fields, rows } batches. Fields come with the first batch even when it's empty.
+async function* exportBatches(table, teamId, since) {
+  const { sql, firstCursor } = EXPORT_QUERIES[table];
+  let cursor = firstCursor;
+  
+  while (true) {
+    const result = await pool.query(sql, [teamId, since, cursor, EXPORT_BATCH_SIZE]);
+    yield { fields: result.fields.map(field => field.name), rows: result.rows };
+    if (result.rows.length < EXPORT_BATCH_SIZE) return;
+    cursor = result.rows[result.rows.length - 1].id;
+  }
+}
+
+// App Home queries. Positions come back as { market, bet } pairs of full rows.
+async function getOpenPositions(userId, teamId, limit = 10) {
+  try {
+    const result = await pool.query(`
+      SELECT to_jsonb(m) AS market, to_jsonb(b) AS bet
+      FROM bets b
+      JOIN markets m ON m.id = b.market_id
+      WHERE b.user_id = $1 AND m.team_id = $2 AND m.resolved = false AND b.stake > 0
+      ORDER BY m.deadline
+      LIMIT $3
+    `, [userId, teamId, limit]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting open positions:', error);
+    throw error;
+  }
+}
+
+// The workspace's latest resolutions with the user's stake and net payout in each (null if
+// they weren't in it). The payout includes anything they made selling out early.
+async function getRecentlyResolved(teamId, userId, limit = 5) {
+  try {
+    const result = await pool.query(`
+      SELECT m.*, b.stake AS user_stake,
+        (SELECT SUM(CASE WHEN l.to_account = $3 THEN l.amount ELSE -l.amount END)
+         FROM ledger l
+         WHERE l.market_id = m.id AND l.user_id = $2 AND l.entry_type IN ('payout', 'sale')) AS user_profit
+      FROM markets m
+      LEFT JOIN bets b ON b.market_id = m.id AND b.user_id = $2
+      WHERE m.team_id = $1 AND m.resolved = true
+      ORDER BY m.resolved_at DESC
+      LIMIT $4
+    `, [teamId, userId, cashAccount(userId, teamId), limit]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting resolved markets:', error);
+    throw error;
+  }
+}
+
+// Where the user stands on the profit and accuracy leaderboards (same cut-offs as those boards)
+async function getLeaderboardRanks(userId, teamId) {
+  try {
+    const result = await pool.query(`
+      WITH ranked AS (
+        SELECT id, bets_placed,
+          RANK() OVER (ORDER BY total_profit DESC) AS profit_rank,
+          COUNT(*) OVER () AS profit_players,
+          RANK() OVER (PARTITION BY bets_placed >= 3 ORDER BY accuracy DESC) AS accuracy_rank,
+          COUNT(*) FILTER (WHERE bets_placed >= 3) OVER () AS accuracy_players
+        FROM users
+        WHERE team_id = $1 AND bets_placed >= 1
+      )
+      SELECT * FROM ranked WHERE id = $2
+    `, [teamId, userId]);
+    if (result.rows.length === 0) return null;
     
-    return new_total === 0 ? 0.5 : weighted_sum / new_total;
+    const row = result.rows[0];
+    return {
+      profit: parseInt(row.profit_rank),
+      profitPlayers: parseInt(row.profit_players),
+      accuracy: row.bets_placed >= 3 ? parseInt(row.accuracy_rank) : null,
+      accuracyPlayers: parseInt(row.accuracy_players)
+    };
+  } catch (error) {
+    console.error('Error getting leaderboard ranks:', error);
+    throw error;
+  }
+}
+
+// A user's final forecasts on resolved yes/no and multiple-choice markets. Numeric
+// markets, cancelled ones and positions sold before resolution are left out of calibration.
+async function getResolvedForecasts(userId, teamId) {
+  try {
+    const result = await pool.query(`
+      SELECT b.probability, b.probabilities, m.market_type, m.resolution, m.winning_outcome
+      FROM bets b
+      JOIN markets m ON m.id = b.market_id
+      WHERE b.user_id = $1 AND m.team_id = $2 AND m.resolved = true AND m.voided = false AND m.market_type <> 'scalar' AND b.stake > 0
+      ORDER BY m.resolved_at
+    `, [userId, teamId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting resolved forecasts:', error);
+    throw error;
+  }
+}
+
+// Perfect stake formula
+function calculateStake(desired_amount) {
+    return Math.min(Math.max(desired_amount, 1), 100); // $1 min, $100 max
 }
 
-// Perfect placeBet core logic with leaderboard tracking
-async function placeBet(market_id, user_id, desired_amount, probability) {
-    // Validation
-    if (probability < 0 || probability > 1) {
-        throw new Error("Probability must be between 0 and 1");
+// Rule for a market's stored scoring_rule name, falling back to SCORING_RULE
+function getScoringRule(ruleName) {
+  return SCORING_RULES[ruleName] || SCORING_RULES[SCORING_RULE] || SCORING_RULES.log;
+}
+
+// Perfect market update formula
+function updateMarketProbability(current_stakes, current_probs, new_stake, new_prob, old_stake = 0, old_prob = 0) {
+    const current_total = current_stakes.reduce((sum, stake) => sum + stake, 0);
+    
+    if (current_total === 0) return new_prob; // First bet
+    
+    const new_total = current_total - old_stake + new_stake;
+    const weighted_sum = current_stakes.reduce((sum, stake, i) => sum + stake * current_probs[i], 0) 
+                        - old_stake * old_prob + new_stake * new_prob;
+    
+    return new_total === 0 ? 0.5 : weighted_sum / new_total;
+}
+
+// Markets with an LMSR market maker (see lmsr.js); older ones pay with a scoring rule
+function isLmsrMarket(market) {
+    return market.liquidity !== null && market.liquidity !== undefined;
+}
+
+function formatShares(shares) {
+    return parseFloat(shares).toFixed(1);
+}
+
+// Multiple-choice markets use the same LMSR cost function over a vector of outcome quantities
+const MAX_OUTCOMES = 10;
+
+function isCategoricalMarket(market) {
+    return market.market_type === 'categorical';
+}
+
+function getOutcomePrices(market) {
+    return lmsrPrices(market.outcome_shares.map(q => parseFloat(q)), parseFloat(market.liquidity));
+}
+
+// Match an outcome by 1-based number, exact label or unique label prefix
+function findOutcome(market, token) {
+    if (!token) return -1;
+    const needle = token.trim().toLowerCase();
+    const outcomes = market.outcomes.map(o => o.toLowerCase());
+    
+    const number = parseInt(needle);
+    if (String(number) === needle && number >= 1 && number <= outcomes.length) {
+        return number - 1;
+    }
+    
+    const exact = outcomes.indexOf(needle);
+    if (exact !== -1) return exact;
+    
+    const prefixed = outcomes.map((o, i) => o.startsWith(needle) ? i : -1).filter(i => i !== -1);
+    return prefixed.length === 1 ? prefixed[0] : -1;
+}
+
+function formatOutcomeOdds(market) {
+    const prices = getOutcomePrices(market);
+    return market.outcomes.map((label, i) => `${label} ${(prices[i] * 100).toFixed(1)}%`).join(' · ');
+}
+
+// Numeric / date-range markets (bucket math in scalar.js)
+function isScalarMarket(market) {
+    return market.market_type === 'scalar';
+}
+
+// Markets whose prices live in outcome_shares rather than q_yes / q_no
+function hasOutcomeVector(market) {
+    return isCategoricalMarket(market) || isScalarMarket(market);
+}
+
+function formatScalarSummary(market) {
+    const prices = getOutcomePrices(market);
+    const unit = market.scalar_unit;
+    const roundValue = (value) => unit === 'date' ? Math.floor(value / DAY_MS) * DAY_MS : value;
+    const median = formatScalarValue(roundValue(scalarQuantile(market, prices, 0.5)), unit);
+    const low = formatScalarValue(roundValue(scalarQuantile(market, prices, 0.1)), unit);
+    const high = formatScalarValue(roundValue(scalarQuantile(market, prices, 0.9)), unit);
+    return `median ${median} (80%: ${low} to ${high})`;
+}
+
+// Perfect placeBet core logic with leaderboard tracking.
+// Runs on one client with the market and user rows locked, so concurrent bets and
+// resolutions queue up instead of overwriting each other's balances.
+async function placeBet(market_id, user_id, desired_amount, probability, outcome = null, scalar_forecast = null) {
+    // Validation
+    const probabilities = scalar_forecast ? [] : Array.isArray(probability) ? probability : [probability];
+    if (probabilities.some(p => isNaN(p) || p < 0 || p > 1)) {
+        throw new Error("Probability must be between 0 and 1");
+    }
+    
+    // Calculate actual stake
+    const stake = calculateStake(desired_amount);
+    
+    return withTransaction(async (client) => {
+        const market = await lockMarket(market_id, client);
+        if (!market || !market.active || market.resolved) {
+            throw new Error("Market not found or inactive");
+        }
+        
+        if (market.closed || new Date() > new Date(market.deadline)) {
+            throw new Error("Market has expired");
+        }
+        
+        // Check user bankroll
+        const user = (await lockUsers([user_id], market.team_id, client)).get(user_id);
+        
+        if (hasOutcomeVector(market)) {
+            return placeCategoricalTrade(client, market, user, stake, desired_amount, probability, outcome, scalar_forecast);
+        }
+        
+        if (Array.isArray(probability) || outcome !== null || scalar_forecast) {
+            throw new Error("This is a yes/no market. Bet with a single probability, e.g. `75`");
+        }
+        
+        if (isLmsrMarket(market)) {
+            return placeLmsrTrade(client, market, user, stake, desired_amount, probability);
+        }
+        
+        const old_bet = await getUserBet(market_id, user_id, client);
+        const available_bankroll = user.bankroll - user.total_staked + (old_bet ? old_bet.stake : 0);
+        
+        if (stake > available_bankroll) {
+            throw new Error(`Insufficient bankroll. Available: $${available_bankroll}`);
+        }
+        
+        // Get current state for probability calculation (excluding the bet being updated)
+        const all_bets = await getMarketBets(market_id, client);
+        const other_bets = all_bets.filter(bet => bet.user_id !== user_id);
+        const current_stakes = other_bets.map(bet => parseInt(bet.stake));
+        const current_probs = other_bets.map(bet => parseFloat(bet.probability));
+        
+        // Update market probability
+        const new_prob = updateMarketProbability(
+            current_stakes, 
+            current_probs, 
+            stake, 
+            probability,
+            0, // No old bet to remove since we filtered it out
+            0
+        );
+        
+        // Calculate new total stake
+        const old_stake = old_bet ? old_bet.stake : 0;
+        const new_total_stake = market.total_stake - old_stake + stake;
+        
+        // Update bet
+        const bet_id = await upsertBet(market_id, user_id, stake, probability, client);
+        
+        // Update market
+        await updateMarket(market_id, {
+            probability: new_prob,
+            total_stake: new_total_stake
+        }, client);
+        await recordTrade(market_id, user_id, old_bet, client);
+        
+        // Update user
+        const net_stake_change = stake - old_stake;
+        await updateUser(user_id, market.team_id, {
+            total_staked: user.total_staked + net_stake_change
+        }, client);
+        await recordLedgerEntry({
+            type: old_bet ? 'stake_change' : 'stake_lock',
+            from: cashAccount(user_id, market.team_id),
+            to: stakedAccount(user_id, market.team_id),
+            amount: net_stake_change,
+            userId: user_id,
+            marketId: market_id,
+            betId: bet_id
+        }, client);
+        
+        return {
+            stake_placed: stake,
+            new_market_probability: new_prob,
+            was_capped: stake < desired_amount,
+            message: stake < desired_amount ? `Bet capped at $${stake} (max: $100)` : `Bet placed: $${stake}`,
+            user: await getUser(user_id, market.team_id, client),
+            market: await getMarket(market_id, client)
+        };
+    });
+}
+
+// LMSR trades add shares to the user's position instead of replacing it.
+// Called by placeBet with the market and user already locked on `client`.
+async function placeLmsrTrade(client, market, user, stake, desired_amount, probability) {
+    const quote = quoteLmsrTrade(market, probability, stake);
+    
+    if (quote.shares <= 0 || quote.cost <= 0) {
+        throw new Error(`Market is already at ${(quote.probability_before * 100).toFixed(1)}%, nothing to buy`);
+    }
+    
+    const available_bankroll = user.bankroll - user.total_staked;
+    if (quote.cost > available_bankroll) {
+        throw new Error(`Insufficient bankroll. Available: $${available_bankroll}`);
+    }
+    
+    const shares_yes = quote.side === 'yes' ? quote.shares : 0;
+    const shares_no = quote.side === 'no' ? quote.shares : 0;
+    const old_bet = await getUserBet(market.id, user.id, client);
+    
+    const bet_id = await addToPosition(market.id, user.id, quote.cost, probability, shares_yes, shares_no, client);
+    
+    await updateMarket(market.id, {
+        q_yes: parseFloat(market.q_yes) + shares_yes,
+        q_no: parseFloat(market.q_no) + shares_no,
+        probability: quote.new_market_probability,
+        total_stake: market.total_stake + quote.cost
+    }, client);
+    await recordTrade(market.id, user.id, old_bet, client);
+    
+    await updateUser(user.id, market.team_id, {
+        total_staked: user.total_staked + quote.cost
+    }, client);
+    await recordLedgerEntry({
+        type: 'stake_lock',
+        from: cashAccount(user.id, market.team_id),
+        to: stakedAccount(user.id, market.team_id),
+        amount: quote.cost,
+        userId: user.id,
+        marketId: market.id,
+        betId: bet_id
+    }, client);
+    
+    const side = quote.side.toUpperCase();
+    const capped = stake < desired_amount;
+    
+    return {
+        stake_placed: quote.cost,
+        side: quote.side,
+        shares: quote.shares,
+        new_market_probability: quote.new_market_probability,
+        was_capped: capped,
+        message: `${capped ? `Bet capped at $${stake} (max: $100). ` : ''}Bought ${formatShares(quote.shares)} ${side} shares for $${quote.cost} (avg ${(quote.cost / quote.shares * 100).toFixed(1)}¢)`,
+        user: await getUser(user.id, market.team_id, client),
+        market: await getMarket(market.id, client)
+    };
+}
+
+// Multiple-choice trades take either a full forecast across outcomes or one outcome's probability.
+// Numeric markets also take a point estimate with an interval, spread across their buckets.
+async function placeCategoricalTrade(client, market, user, stake, desired_amount, probability, outcome, scalar_forecast = null) {
+    const prices = getOutcomePrices(market);
+    let targets;
+    let stored_forecast = null;
+    
+    if (typeof outcome === 'string') {
+        outcome = findOutcome(market, outcome);
+    }
+    
+    if (scalar_forecast) {
+        if (!isScalarMarket(market)) {
+            throw new Error("Point estimates only work on numeric markets");
+        }
+        const unit = market.scalar_unit;
+        const point = parseScalarValue(scalar_forecast.point, unit);
+        const low = parseScalarValue(scalar_forecast.low, unit);
+        const high = parseScalarValue(scalar_forecast.high, unit);
+        if ([point, low, high].some(v => isNaN(v)) || !(low <= point && point <= high) || low === high) {
+            throw new Error(`Give an estimate inside its interval, e.g. \`${formatScalarValue(parseFloat(market.scalar_min), unit)}..${formatScalarValue(parseFloat(market.scalar_max), unit)}\``);
+        }
+        stored_forecast = { point, low, high };
+        targets = normalizeProbabilities(scalarForecastToBuckets(market, point, low, high));
+    } else if (Array.isArray(probability)) {
+        if (probability.length !== market.outcomes.length) {
+            throw new Error(`Give a probability for each of the ${market.outcomes.length} outcomes, e.g. \`${market.outcomes.map(() => Math.round(100 / market.outcomes.length)).join('/')}\``);
+        }
+        targets = normalizeProbabilities(probability);
+    } else {
+        if (outcome === null || outcome < 0 || outcome >= market.outcomes.length) {
+            throw new Error(`Pick an outcome: ${market.outcomes.map((label, i) => `${i + 1}. ${label}`).join(', ')}`);
+        }
+        targets = targetForOutcome(prices, outcome, Math.min(Math.max(probability, LMSR_PRICE_BOUND), 1 - LMSR_PRICE_BOUND));
+    }
+    
+    const quote = quoteCategoricalTrade(market, targets, stake);
+    
+    if (quote.cost <= 0) {
+        throw new Error(`Market is already at ${isScalarMarket(market) ? formatScalarSummary(market) : formatOutcomeOdds(market)}, nothing to buy`);
+    }
+    
+    const available_bankroll = user.bankroll - user.total_staked;
+    if (quote.cost > available_bankroll) {
+        throw new Error(`Insufficient bankroll. Available: $${available_bankroll}`);
+    }
+    
+    // The probability column keeps the forecast for the outcome the user rates highest
+    const favourite = quote.target.indexOf(Math.max(...quote.target));
+    const new_quantities = market.outcome_shares.map((q, i) => parseFloat(q) + quote.shares[i]);
+    const old_bet = await getUserBet(market.id, user.id, client);
+    
+    const bet_id = await addToCategoricalPosition(market.id, user.id, quote.cost, quote.target[favourite], quote.target, quote.shares, stored_forecast, client);
+    
+    await updateMarket(market.id, {
+        outcome_shares: JSON.stringify(new_quantities),
+        probability: Math.max(...quote.prices_after),
+        total_stake: market.total_stake + quote.cost
+    }, client);
+    await recordTrade(market.id, user.id, old_bet, client);
+    
+    await updateUser(user.id, market.team_id, {
+        total_staked: user.total_staked + quote.cost
+    }, client);
+    await recordLedgerEntry({
+        type: 'stake_lock',
+        from: cashAccount(user.id, market.team_id),
+        to: stakedAccount(user.id, market.team_id),
+        amount: quote.cost,
+        userId: user.id,
+        marketId: market.id,
+        betId: bet_id
+    }, client);
+    
+    const bought = quote.shares
+        .map((shares, i) => shares >= 0.05 ? `${formatShares(shares)} ${market.outcomes[i]}` : null)
+        .filter(Boolean)
+        .join(', ');
+    const capped = stake < desired_amount;
+    const updated_market = await getMarket(market.id, client);
+    const now = isScalarMarket(market) ? formatScalarSummary(updated_market) : formatOutcomeOdds(updated_market);
+    
+    return {
+        stake_placed: quote.cost,
+        shares: quote.shares,
+        new_market_probability: Math.max(...quote.prices_after),
+        new_outcome_probabilities: quote.prices_after,
+        was_capped: capped,
+        message: `${capped ? `Bet capped at $${stake} (max: $100). ` : ''}Bought ${bought} shares for $${quote.cost}\n📊 Now: ${now}`,
+        user: await getUser(user.id, market.team_id, client),
+        market: updated_market
+    };
+}
+
+// Sell all or part of a position before the market closes. The released stake unlocks and
+// the difference between the proceeds and that stake is realized straight away as profit
+// or loss. The maker pays it out of what it has collected, and the creator settles the
+// total at resolution.
+async function sellPosition(market_id, user_id, fraction = 1) {
+    if (!(fraction >= MIN_SALE_FRACTION && fraction <= 1)) {
+        throw new Error("Sell between 1% and 100% of a position");
+    }
+    
+    return withTransaction(async (client) => {
+        const market = await lockMarket(market_id, client);
+        if (!market || !market.active || market.resolved) {
+            throw new Error("Market not found or inactive");
+        }
+        if (market.closed || new Date() > new Date(market.deadline)) {
+            throw new Error("Market has closed. Positions pay out when it resolves");
+        }
+        if (!isLmsrMarket(market)) {
+            throw new Error("Bets on this market can't be sold. It predates the market maker, so it pays out at resolution");
+        }
+        
+        const user = (await lockUsers([user_id], market.team_id, client)).get(user_id);
+        const old_bet = await getUserBet(market.id, user.id, client);
+        if (!old_bet || old_bet.stake <= 0) {
+            throw new Error("You don't have a position in this market");
+        }
+        
+        const quote = quoteSale(market, old_bet, fraction);
+        if (fraction < 1 && (quote.released === 0 || quote.proceeds === 0)) {
+            throw new Error(`That part of your $${old_bet.stake} position is too small to sell on its own. Sell all of it instead`);
+        }
+        const vector = hasOutcomeVector(market);
+        
+        await reducePosition(old_bet, old_bet.stake - quote.released, quote.remaining, client);
+        await updateMarket(market.id, {
+            ...(vector
+                ? { outcome_shares: JSON.stringify(quote.quantities_after), probability: Math.max(...quote.prices_after) }
+                : { q_yes: quote.quantities_after[0], q_no: quote.quantities_after[1], probability: quote.prices_after[0] }),
+            total_stake: market.total_stake - quote.released,
+            cashed_out_profit: (market.cashed_out_profit || 0) + quote.profit
+        }, client);
+        await recordTrade(market.id, user.id, old_bet, client);
+        
+        await updateUser(user.id, market.team_id, {
+            bankroll: user.bankroll + quote.profit,
+            total_staked: user.total_staked - quote.released,
+            total_profit: user.total_profit + quote.profit,
+            biggest_win: Math.max(user.biggest_win, quote.profit)
+        }, client);
+        
+        const percent = Math.round(fraction * 100);
+        await recordLedgerEntry({
+            type: 'stake_release',
+            from: stakedAccount(user.id, market.team_id),
+            to: cashAccount(user.id, market.team_id),
+            amount: quote.released,
+            userId: user.id,
+            marketId: market.id,
+            betId: old_bet.id
+        }, client);
+        await recordLedgerEntry({
+            type: 'sale',
+            from: marketAccount(market.id),
+            to: cashAccount(user.id, market.team_id),
+            amount: quote.profit,
+            userId: user.id,
+            marketId: market.id,
+            betId: old_bet.id,
+            memo: `Sold ${fraction >= 1 ? 'whole position' : `${percent}% of position`} for $${quote.proceeds}`
+        }, client);
+        
+        const labels = vector ? market.outcomes : ['YES', 'NO'];
+        const sold = quote.sold
+            .map((shares, i) => shares >= 0.05 ? `${formatShares(shares)} ${labels[i]}` : null)
+            .filter(Boolean)
+            .join(', ');
+        const updated_market = await getMarket(market.id, client);
+        
+        return {
+            ...quote,
+            message: `Sold ${fraction >= 1 ? 'your whole position' : `${percent}% of your position`} (${sold || 'no'} shares) for $${quote.proceeds}: ${quote.profit >= 0 ? '+' : '-'}$${Math.abs(quote.profit)} on the $${quote.released} it cost`,
+            new_market_probability: vector ? Math.max(...quote.prices_after) : quote.prices_after[0],
+            new_outcome_probabilities: vector ? quote.prices_after : null,
+            user: await getUser(user.id, market.team_id, client),
+            market: updated_market
+        };
+    });
+}
+
+// Words that resolve a market as N/A instead of picking an outcome
+const VOID_OUTCOMES = ['n/a', 'na', 'void'];
+
+// Void a market: every bettor gets their stake back and the creator's subsidy is released.
+// Bankrolls were never debited, so refunding only unlocks total_staked; accuracy, streaks
+// and profit are left alone. Sales made before the void stand, so the creator settles
+// whatever the market maker paid out for them.
+async function voidMarket(market_id, reason) {
+    return withTransaction(async (client) => {
+        const market = await lockMarket(market_id, client);
+        if (!market) {
+            throw new Error("Market not found");
+        }
+        if (market.resolved) {
+            throw new Error(`Market already ${market.voided ? 'cancelled' : 'resolved'}`);
+        }
+        
+        const bets = (await getMarketBets(market.id, client)).filter(bet => bet.stake > 0);
+        const users = await lockUsers([...bets.map(bet => bet.user_id), market.creator], market.team_id, client);
+        
+        for (const bet of bets) {
+            users.get(bet.user_id).total_staked -= bet.stake;
+            await recordLedgerEntry({
+                type: 'refund',
+                from: stakedAccount(bet.user_id, market.team_id),
+                to: cashAccount(bet.user_id, market.team_id),
+                amount: bet.stake,
+                userId: bet.user_id,
+                marketId: market.id,
+                betId: bet.id
+            }, client);
+        }
+        const creator = users.get(market.creator);
+        creator.total_staked -= market.subsidy || 0;
+        await recordLedgerEntry({
+            type: 'subsidy_release',
+            from: stakedAccount(market.creator, market.team_id),
+            to: cashAccount(market.creator, market.team_id),
+            amount: market.subsidy || 0,
+            userId: market.creator,
+            marketId: market.id
+        }, client);
+        
+        const cashedOut = market.cashed_out_profit || 0;
+        creator.bankroll -= cashedOut;
+        creator.total_profit -= cashedOut;
+        await recordLedgerEntry({
+            type: 'maker_settlement',
+            from: marketAccount(market.id),
+            to: cashAccount(market.creator, market.team_id),
+            amount: -cashedOut,
+            userId: market.creator,
+            marketId: market.id
+        }, client);
+        
+        for (const user of users.values()) {
+            await updateUser(user.id, market.team_id, { bankroll: user.bankroll, total_staked: user.total_staked, total_profit: user.total_profit }, client);
+        }
+        
+        await updateMarket(market.id, {
+            resolved: true,
+            voided: true,
+            void_reason: reason || null,
+            resolved_at: new Date()
+        }, client);
+        
+        return bets.map(bet => `<@${bet.user_id}>: $${bet.stake} refunded`);
+    });
+}
+
+// Pay out a market and record the result. Everything runs in one transaction with the
+// market and every affected user locked: either all payouts land or none do.
+// `resolution` is { outcome } for yes/no markets, { winningOutcome } for multiple choice
+// and { winningOutcome, resolvedValue } for numeric markets.
+async function resolveMarket(market_id, resolution) {
+    const { outcome, winningOutcome = null, resolvedValue = null } = resolution;
+    
+    return withTransaction(async (client) => {
+        const market = await lockMarket(market_id, client);
+        if (!market) {
+            throw new Error("Market not found");
+        }
+        if (market.resolved) {
+            throw new Error("Market already resolved");
+        }
+        
+        const categorical = hasOutcomeVector(market);
+        const scalar = isScalarMarket(market);
+        const lmsr = isLmsrMarket(market);
+        
+        // Get all bets for payout calculation (positions sold off before the close are done with)
+        const bets = (await getMarketBets(market.id, client)).filter(bet => bet.stake > 0);
+        
+        // LMSR markets still need resolving with no bets so the creator's subsidy is released
+        if (bets.length === 0 && !lmsr) {
+            throw new Error("No bets placed on this market");
+        }
+        
+        const users = await lockUsers([...bets.map(bet => bet.user_id), market.creator], market.team_id, client);
+        const ledgerEntries = [];
+        let totalPaidOut = 0;
+        
+        // Calculate payouts and update leaderboard stats. LMSR positions pay $1 per winning
+        // share; legacy markets are paid with the market's scoring rule.
+        const payoutSummary = bets.map((bet) => {
+            const user = users.get(bet.user_id);
+            const probability = parseFloat(bet.probability);
+            let payout, profit;
+            
+            if (categorical) {
+                payout = Math.floor(parseFloat(bet.outcome_shares[winningOutcome]));
+                profit = payout - bet.stake;
+            } else if (lmsr) {
+                payout = Math.floor(parseFloat(outcome ? bet.shares_yes : bet.shares_no));
+                profit = payout - bet.stake;
+            } else {
+                profit = calculateProfit(bet.stake, probability, outcome, getScoringRule(market.scoring_rule));
+                payout = bet.stake + profit;
+            }
+            totalPaidOut += payout;
+            
+            // Determine if prediction was correct (the value fell in the user's interval,
+            // or the winner was their favourite outcome)
+            const hasInterval = scalar && bet.interval_low !== null;
+            const wasCorrect = hasInterval
+                ? resolvedValue >= parseFloat(bet.interval_low) && resolvedValue <= parseFloat(bet.interval_high)
+                : categorical
+                    ? bet.probabilities.indexOf(Math.max(...bet.probabilities)) === winningOutcome
+                    : (outcome && probability > 0.5) || (!outcome && probability < 0.5);
+            
+            user.bets_won += wasCorrect ? 1 : 0;
+            user.bets_placed += 1;
+            user.accuracy = user.bets_won / user.bets_placed;
+            
+            // Update streak
+            user.prediction_streak = wasCorrect ? user.prediction_streak + 1 : 0;
+            user.best_streak = Math.max(user.best_streak, user.prediction_streak);
+            
+            // Track biggest win (net profit, not the returned stake)
+            user.biggest_win = Math.max(user.biggest_win, profit);
+            
+            // The stake was only locked, never deducted, so the bankroll moves by the profit alone
+            user.bankroll += profit;
+            user.total_staked -= bet.stake;
+            user.total_profit += profit;
+            ledgerEntries.push(
+                { type: 'stake_release', from: stakedAccount(user.id, market.team_id), to: cashAccount(user.id, market.team_id), amount: bet.stake, userId: user.id, betId: bet.id },
+                { type: 'payout', from: marketAccount(market.id), to: cashAccount(user.id, market.team_id), amount: profit, userId: user.id, betId: bet.id }
+            );
+            
+            const sign = profit >= 0 ? '+' : '-';
+            return `<@${bet.user_id}>: $${payout} (${sign}$${Math.abs(profit)} on ${(probability * 100).toFixed(1)}%)`;
+        });
+        
+        // Settle the market maker with its creator: they collected every trade's cost,
+        // pay out the winning shares (and whatever sellers already took) and get the
+        // locked subsidy back
+        let makerSummary = '';
+        if (lmsr) {
+            const creator = users.get(market.creator);
+            const makerProfit = market.total_stake - totalPaidOut - (market.cashed_out_profit || 0);
+            
+            creator.bankroll += makerProfit;
+            creator.total_staked -= market.subsidy;
+            creator.total_profit += makerProfit;
+            ledgerEntries.push(
+                { type: 'subsidy_release', from: stakedAccount(creator.id, market.team_id), to: cashAccount(creator.id, market.team_id), amount: market.subsidy, userId: creator.id },
+                { type: 'maker_settlement', from: marketAccount(market.id), to: cashAccount(creator.id, market.team_id), amount: makerProfit, userId: creator.id }
+            );
+            
+            makerSummary = `\n\n🏦 Market maker (<@${market.creator}>): ${makerProfit >= 0 ? '+' : '-'}$${Math.abs(makerProfit)}`;
+        }
+        
+        for (const user of users.values()) {
+            await updateUser(user.id, market.team_id, {
+                bankroll: user.bankroll,
+                total_staked: user.total_staked,
+                bets_placed: user.bets_placed,
+                bets_won: user.bets_won,
+                accuracy: user.accuracy,
+                total_profit: user.total_profit,
+                biggest_win: user.biggest_win,
+                prediction_streak: user.prediction_streak,
+                best_streak: user.best_streak
+            }, client);
+        }
+        
+        for (const entry of ledgerEntries) {
+            await recordLedgerEntry({ ...entry, marketId: market.id }, client);
+        }
+        
+        // Resolve market
+        await updateMarket(market.id, {
+            resolved: true,
+            resolution: categorical ? null : outcome,
+            winning_outcome: winningOutcome,
+            resolved_value: resolvedValue,
+            resolved_at: new Date()
+        }, client);
+        
+        return { market, payoutSummary, makerSummary, lmsr };
+    });
+}
+
+function formatVoidAnnouncement(market, reason, refunds) {
+    return `🚫 *Market Cancelled*\n\n*${market.question}*\n\n📝 Reason: ${reason || 'No reason given'}\n\n💸 **Refunds:**\n${refunds.join('\n') || 'No bets placed'}`;
+}
+
+// Show help menu (different for admin vs regular users). Built from the /predict command
+// registry, one section per group.
+function getHelpMenu(isAdmin = false, economy = ECONOMY_DEFAULTS) {
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "🎯 *Prediction Market Bot Help*\n\nCreate yes/no, multiple-choice and numeric or date-range prediction markets and bet on outcomes with your team!"
+      }
+    }
+  ];
+
+  for (const group of HELP_GROUPS) {
+    if (group.admin && !isAdmin) continue;
+    const lines = PREDICT_COMMANDS.filter(command => command.group === group.id).flatMap(formatCommandHelp);
+    if (group === HELP_GROUPS[0] || group.admin) {
+      blocks.push({
+        type: "divider"
+      });
+    }
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${group.title}:*\n${[...lines, ...(group.notes || [])].join('\n')}`
+      }
+    });
+  }
+
+  blocks.push(
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*🎮 Quick Tips:*\n• Everyone starts with $${economy.starting_balance}${economy.allowance > 0 ? `\n• $${economy.allowance} allowance every ${economy.allowance_days} day${economy.allowance_days === 1 ? '' : 's'} while your bankroll is under $${economy.allowance_cap}` : ''}\n• Bet range: $1-$100\n• Probability: 1-99 (e.g., 75 = 75%), or odds for every outcome like \`50/30/20\` on multiple choice\n• Numeric and date markets take a range around your guess, like \`80..200\`\n• Bigger bets = more market influence\n• Build streaks for leaderboard glory!`
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*📐 How Payouts Work:*\nEvery market has an automated market maker. \`/predict bet market_123 75 50\` spends up to $50 buying YES shares until the price reaches 75% (or NO shares if the price is above 75%). Each winning share pays $1, so buying below your true belief is how you profit. Before the market closes you can sell shares back at the going price with \`/predict sell\` or the 💸 Cash out button. The creator funds the maker's liquidity (\`| b=150\`, max $${MAX_SUBSIDY} subsidy) and settles its profit or loss.\n\nOlder markets without a market maker pay with the *${getScoringRule(SCORING_RULE).name}* scoring rule: a 50% forecast breaks even, being confidently right wins up to ${calculateProfit(100, 0.99, true, getScoringRule(SCORING_RULE))}% of your stake and being confidently wrong loses all of it.`
+      }
+    },
+    {
+      type: "divider"
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: "💡 *Pro tip:* Quick bet buttons on markets open a bet form with a preview before anything is placed. `/predict help <command>` explains any command."
+        }
+      ]
+    }
+  );
+
+  return {
+    response_type: 'ephemeral',
+    blocks: blocks
+  };
+}
+
+const LEDGER_ENTRY_LABELS = {
+  opening_balance: 'Opening balance',
+  starting_balance: 'Starting bankroll',
+  stake_lock: 'Stake locked',
+  stake_change: 'Stake changed',
+  stake_release: 'Stake released',
+  subsidy_lock: 'Subsidy locked',
+  subsidy_release: 'Subsidy released',
+  payout: 'Payout',
+  maker_settlement: 'Market maker settlement',
+  refund: 'Stake refunded',
+  admin_adjustment: 'Admin adjustment',
+  reset: 'Reset',
+  season_reset: 'Season bankroll reset',
+  allowance: 'Allowance',
+  bailout: 'Bailout',
+  sale: 'Position sold'
+};
+
+// One ledger entry from its user's point of view: how it moved their bankroll or locked stake
+function formatLedgerEntry(entry, teamId) {
+  const change = (account) => (entry.to_account === account ? entry.amount : 0) - (entry.from_account === account ? entry.amount : 0);
+  const staked = change(stakedAccount(entry.user_id, teamId));
+  const bankroll = change(cashAccount(entry.user_id, teamId)) + staked;
+  const signed = (amount) => `${amount >= 0 ? '+' : '-'}$${Math.abs(amount)}`;
+  
+  const effect = bankroll !== 0 ? `*${signed(bankroll)}*` : `${signed(staked)} staked`;
+  const market = entry.market_id ? ` · \`${entry.market_id}\`` : '';
+  const memo = entry.memo ? ` · ${entry.memo}` : '';
+  
+  return `${formatSlackDate(entry.created_at, false)} ${LEDGER_ENTRY_LABELS[entry.entry_type] || entry.entry_type}: ${effect}${market}${memo}`;
+}
+
+// Buckets with fewer forecasts than this aren't flagged as off
+const CALIBRATION_MIN_BUCKET = 3;
+
+function formatCalibration(report, userId, isOwn) {
+  const title = isOwn ? 'Your Calibration' : `Calibration for <@${userId}>`;
+  const pct = (value) => `${(value * 100).toFixed(0)}%`;
+  
+  const rows = report.buckets.map(bucket => {
+    const range = `${(bucket.low * 100).toFixed(0)}–${(bucket.high * 100).toFixed(0)}%`.padStart(7, ' ');
+    const gap = bucket.observed - bucket.predicted;
+    const flag = bucket.count < CALIBRATION_MIN_BUCKET ? '' : Math.abs(gap) <= 0.1 ? ' ✅' : gap > 0 ? ' ⬆️ happened more often' : ' ⬇️ happened less often';
+    return `\`${range}\` ${bucket.count} × said ${pct(bucket.predicted)} → happened ${pct(bucket.observed)}${flag}`;
+  });
+  
+  const judgments = report.count !== report.forecasts ? ` (${report.count} outcome probabilities)` : '';
+  
+  return `📏 *${title}*\n${report.forecasts} resolved forecasts${judgments}\n\n${rows.join('\n')}\n\n` +
+    `*Scores:*\n` +
+    `• Brier: *${report.brier.toFixed(3)}* (0 is perfect, always saying 50% scores 0.250)\n` +
+    `• Log score: *${report.logScore.toFixed(3)}* (0 is perfect, always saying 50% scores ${Math.log(0.5).toFixed(3)})\n` +
+    `• Reliability: ${report.reliability.toFixed(3)} (gap between forecasts and outcomes, lower is better)\n` +
+    `• Resolution: ${report.resolution.toFixed(3)} (how well forecasts separate what happens from what doesn't, higher is better)\n` +
+    `• Uncertainty: ${report.uncertainty.toFixed(3)} (base rate ${pct(report.baseRate)})`;
+}
+
+// Format leaderboard display
+const LEADERBOARD_EMOJIS = {
+  accuracy: '🎯',
+  profit: '💰',
+  volume: '📊',
+  streak: '🔥'
+};
+const LEADERBOARD_MEDALS = ['🥇', '🥈', '🥉'];
+const BAILOUT_FLAG = '🩹';
+
+// A ranked user's mention, flagged if they've taken a bailout
+function formatLeaderboardName(user) {
+  return `<@${user.id}>${user.bailed_out_at ? ` ${BAILOUT_FLAG}` : ''}`;
+}
+
+// A user's numbers on one leaderboard
+function formatLeaderboardStat(user, type) {
+  switch(type) {
+    case 'accuracy':
+      return `${(parseFloat(user.accuracy) * 100).toFixed(1)}% (${user.bets_won}/${user.bets_placed})`;
+    case 'profit':
+      return `$${user.total_profit} profit (Bankroll: $${user.bankroll})`;
+    case 'volume':
+      return `${user.bets_placed} bets, ${user.markets_created} markets`;
+    case 'streak':
+      return `${user.best_streak} best streak (Current: ${user.prediction_streak})`;
+  }
+  return '';
+}
+
+function formatLeaderboard(users, type, userRank = null) {
+  if (users.length === 0) {
+    return "No data available yet. Start predicting to see leaderboards!";
+  }
+
+  let leaderboardText = `${LEADERBOARD_EMOJIS[type]} *${type.charAt(0).toUpperCase() + type.slice(1)} Leaderboard*\n\n`;
+  
+  users.forEach((user, index) => {
+    const medal = index < 3 ? LEADERBOARD_MEDALS[index] : `${index + 1}.`;
+    leaderboardText += `${medal} ${formatLeaderboardName(user)} - ${formatLeaderboardStat(user, type)}\n`;
+  });
+
+  if (users.some(user => user.bailed_out_at)) {
+    leaderboardText += `\n_${BAILOUT_FLAG} took a bailout_`;
+  }
+
+  if (userRank && userRank > 10) {
+    leaderboardText += `\n📍 Your rank: #${userRank}`;
+  }
+
+  return leaderboardText;
+}
+
+// A deadline as Slack date markup, which every viewer sees in their own timezone. Clients
+// that can't render it show the UTC fallback.
+function formatSlackDate(date, withTime = true) {
+  const d = new Date(date);
+  const fallback = d.toLocaleString('en-US', { timeZone: 'UTC', month: 'short', day: 'numeric', year: 'numeric', ...(withTime ? { hour: '2-digit', minute: '2-digit' } : {}) });
+  return `<!date^${Math.floor(d.getTime() / 1000)}^{date_short_pretty}${withTime ? ' at {time}' : ''}|${fallback}${withTime ? ' UTC' : ''}>`;
+}
+
+// "in 2d 5h" / "in 40m" until a deadline
+function formatTimeRemaining(deadline) {
+  const minutes = Math.max(0, Math.floor((new Date(deadline) - Date.now()) / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor(minutes % 1440 / 60);
+  if (days > 0) return `in ${days}d ${hours}h`;
+  if (hours > 0) return `in ${hours}h ${minutes % 60}m`;
+  return `in ${minutes}m`;
+}
+
+// What a resolved market resolved to
+function formatResolution(market) {
+  if (isScalarMarket(market)) return `${formatScalarValue(market.resolved_value, market.scalar_unit)} (${market.outcomes[market.winning_outcome]})`;
+  if (isCategoricalMarket(market)) return market.outcomes[market.winning_outcome];
+  return market.resolution ? 'YES' : 'NO';
+}
+
+function quickBetButtons(market) {
+  if (isScalarMarket(market)) return null;
+  
+  if (isCategoricalMarket(market)) {
+    return market.outcomes.map((label, i) => ({
+      type: "button",
+      text: { type: "plain_text", text: `Bet ${label}`.slice(0, 75) },
+      action_id: `bet_outcome_${market.id}_${i}`
+    }));
+  }
+  
+  return [
+    { type: "button", text: { type: "plain_text", text: "Very Likely (80%)" }, action_id: `bet_quick_${market.id}_0.8`, style: "primary" },
+    { type: "button", text: { type: "plain_text", text: "Likely (65%)" }, action_id: `bet_quick_${market.id}_0.65` },
+    { type: "button", text: { type: "plain_text", text: "Unlikely (35%)" }, action_id: `bet_quick_${market.id}_0.35` },
+    { type: "button", text: { type: "plain_text", text: "Very Unlikely (20%)" }, action_id: `bet_quick_${market.id}_0.2`, style: "danger" }
+  ];
+}
+
+// Sells the clicker's whole position. `actionPrefix` tells the card and the App Home apart;
+// `preview` is what the confirm dialog says the sale would fetch.
+function cashOutButton(marketId, actionPrefix = 'cash_out', preview = 'Sell your whole position back to the market maker at the current price?') {
+  return {
+    type: "button",
+    text: { type: "plain_text", text: "💸 Cash out" },
+    action_id: `${actionPrefix}_${marketId}`,
+    confirm: {
+      title: { type: "plain_text", text: "Cash out?" },
+      text: { type: "mrkdwn", text: preview },
+      confirm: { type: "plain_text", text: "Sell" },
+      deny: { type: "plain_text", text: "Keep it" }
+    }
+  };
+}
+
+function betHint(market) {
+  if (isScalarMarket(market)) {
+    const unit = market.scalar_unit;
+    const min = parseFloat(market.scalar_min);
+    const max = parseFloat(market.scalar_max);
+    const mid = unit === 'date' ? min + Math.floor((max - min) / DAY_MS / 2) * DAY_MS : (min + max) / 2;
+    return `💡 Forecast with: \`/predict bet ${market.id} ${formatScalarValue(mid, unit)} ${formatScalarValue(min, unit)}..${formatScalarValue(max, unit)} 50\` (best guess, 80% interval, $50 stake)`;
+  }
+  if (isCategoricalMarket(market)) {
+    const example = market.outcomes.map(() => Math.round(100 / market.outcomes.length)).join('/');
+    return `💡 Or use: \`/predict bet ${market.id} 1 60 50\` (outcome 1 to 60%, $50 stake) or \`/predict bet ${market.id} ${example} 50\` (your odds for every outcome)`;
+  }
+  return `💡 Or use: \`/predict bet ${market.id} 75 50\` (75% prob, $50 stake)`;
+}
+
+// The market card posted when a market is created. It's rebuilt from the market row and
+// edited in place as bets come in, betting closes and the market resolves; the buttons
+// go once betting is over.
+function buildMarketCard(market, participants = 0) {
+  const open = !market.resolved && !market.closed && new Date(market.deadline) > new Date();
+  const headline = market.voided ? '🚫 *Market Cancelled*'
+    : market.resolved ? '🏁 *Market Resolved*'
+    : !open ? '🔒 *Betting Closed*'
+    : market.total_stake === 0 ? '🎯 *New Market Created!*'
+    : '🎯 *Prediction Market*';
+  
+  let odds;
+  if (isScalarMarket(market)) {
+    const unit = market.scalar_unit;
+    odds = `📏 Range: *${formatScalarValue(parseFloat(market.scalar_min), unit)}* to *${formatScalarValue(parseFloat(market.scalar_max), unit)}* in ${market.outcomes.length} buckets\n📈 Crowd: *${formatScalarSummary(market)}*`;
+  } else if (isCategoricalMarket(market)) {
+    const prices = getOutcomePrices(market);
+    odds = market.outcomes.map((label, i) => `${i + 1}. ${label} - *${(prices[i] * 100).toFixed(1)}%*${market.winning_outcome === i ? ' ✅' : ''}`).join('\n');
+  } else {
+    odds = `📊 Probability: *${(parseFloat(market.probability) * 100).toFixed(1)}%*`;
+  }
+  
+  const liquidity = isLmsrMarket(market) ? ` | 🏦 Liquidity: b=${parseFloat(market.liquidity)} ($${market.subsidy} subsidy)` : '';
+  const stats = `💰 Staked: $${market.total_stake} | 👥 ${participants} ${participants === 1 ? 'participant' : 'participants'}${liquidity}`;
+  
+  let status;
+  if (market.voided) {
+    status = `🚫 Cancelled: ${market.void_reason || 'No reason given'} (stakes refunded)`;
+  } else if (market.resolved) {
+    status = `✅ *Result: ${formatResolution(market)}*`;
+  } else if (!open) {
+    status = `⏳ Closed ${formatSlackDate(market.deadline)}, waiting to be resolved`;
+  } else {
+    status = `⏰ ${formatSlackDate(market.deadline)} (closes ${formatTimeRemaining(market.deadline)})`;
+  }
+  
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `${headline}\n\n*${market.question}*\n\n${odds}\n\n${stats}\n${status} | 🆔 \`${market.id}\``
+      }
+    }
+  ];
+  
+  const details = [
+    market.description ? `📝 ${market.description}` : null,
+    market.resolution_criteria ? `⚖️ *Resolves by:* ${market.resolution_criteria}` : null
+  ].filter(Boolean);
+  if (details.length > 0) {
+    blocks.push({ type: "section", text: { type: "mrkdwn", text: details.join('\n\n') } });
+  }
+  
+  // Anyone holding a position in a market maker market can sell it from the card
+  const buttons = open ? [...(quickBetButtons(market) || []), ...(isLmsrMarket(market) ? [cashOutButton(market.id)] : [])] : [];
+  if (buttons.length > 0) {
+    blocks.push({ type: "actions", elements: buttons });
+  }
+  if (open) {
+    blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: betHint(market) }] });
+  }
+  
+  return blocks;
+}
+
+// Market browser: `/predict markets` with filters, sorting and paging buttons
+const MARKETS_PAGE_SIZE = 5;
+
+// Filters from the text after `/predict markets` (in its original casing, for mentions):
+//   by:@user  in:#channel  tag:name (or #name)  closing:7  overdue|resolved  sort:volume|deadline|recent
+// Anything else is searched for in the question. Without `all` or `in:#channel` only the
+// current channel's markets are listed (every channel's in a DM).
+function parseMarketFilters(text, channelId) {
+  const filters = { status: 'open', sort: 'recent', page: 0 };
+  let explicitChannel = null;
+  let everywhere = channelId.startsWith('D');
+  
+  const rest = text
+    .replace(/^\s*(markets|list)\b/i, '')
+    .replace(/(?:by:)?<@(\w+)(?:\|[^>]*)?>/g, (_, id) => { filters.creator = id; return ' '; })
+    .replace(/(?:in:)?<#(\w+)(?:\|[^>]*)?>/g, (_, id) => { explicitChannel = id; return ' '; });
+  
+  const words = [];
+  for (const token of rest.split(/\s+/).filter(Boolean)) {
+    const lower = token.toLowerCase();
+    let match;
+    if (lower === 'all') {
+      everywhere = true;
+    } else if (lower === 'overdue' || lower === 'resolved') {
+      filters.status = lower;
+    } else if ((match = lower.match(/^sort:(recent|deadline|volume)$/))) {
+      filters.sort = match[1];
+    } else if ((match = lower.match(/^closing:(\d+)d?$/))) {
+      filters.closingDays = parseInt(match[1]);
+    } else if ((match = lower.match(/^(?:tag:#?|#)([\w-]+)$/))) {
+      filters.tag = match[1];
+    } else {
+      words.push(token);
+    }
+  }
+  
+  filters.channelId = explicitChannel || (everywhere ? null : channelId);
+  // Kept short enough to fit in a paging button's value
+  if (words.length > 0) filters.search = words.join(' ').slice(0, 200);
+  return filters;
+}
+
+function describeMarketFilters(filters) {
+  const parts = [
+    { open: 'Open', overdue: 'Past deadline and unresolved', resolved: 'Resolved' }[filters.status],
+    filters.channelId ? `in <#${filters.channelId}>` : 'in every channel'
+  ];
+  if (filters.creator) parts.push(`by <@${filters.creator}>`);
+  if (filters.tag) parts.push(`tagged #${filters.tag}`);
+  if (filters.closingDays) parts.push(`closing within ${filters.closingDays} ${filters.closingDays === 1 ? 'day' : 'days'}`);
+  if (filters.search) parts.push(`matching "${filters.search}"`);
+  parts.push({ recent: 'newest first', deadline: 'closing soonest first', volume: 'most staked first' }[filters.sort]);
+  return parts.join(' · ');
+}
+
+function formatMarketListing(market) {
+  const odds = isScalarMarket(market) ? formatScalarSummary(market)
+    : isCategoricalMarket(market) ? formatOutcomeOdds(market)
+    : `${(parseFloat(market.probability) * 100).toFixed(1)}%`;
+  const status = market.voided ? '🚫 Cancelled'
+    : market.resolved ? `✅ Resolved: ${formatResolution(market)}`
+    : new Date(market.deadline) <= new Date() ? `⏳ Closed ${formatSlackDate(market.deadline)}, awaiting resolution`
+    : `⏰ Closes ${formatTimeRemaining(market.deadline)}`;
+  return `🎯 *${market.question}*\n📊 ${odds} | 💰 $${market.total_stake} staked | ${status}\n🆔 \`${market.id}\``;
+}
+
+// The paging buttons carry the filters, so the next page is just the same search again
+function buildMarketBrowser(markets, total, filters) {
+  const blocks = [
+    { type: "section", text: { type: "mrkdwn", text: `📊 *Markets* (${total} found)` } },
+    { type: "context", elements: [{ type: "mrkdwn", text: describeMarketFilters(filters) }] }
+  ];
+  
+  for (const market of markets) {
+    const open = !market.resolved && !market.closed && new Date(market.deadline) > new Date();
+    blocks.push({ type: "divider" });
+    blocks.push({ type: "section", text: { type: "mrkdwn", text: formatMarketListing(market) } });
+    blocks.push({
+      type: "actions",
+      elements: [
+        open ? { type: "button", text: { type: "plain_text", text: "Bet" }, action_id: `browse_bet_${market.id}`, style: "primary" } : null,
+        { type: "button", text: { type: "plain_text", text: "Info" }, action_id: `browse_info_${market.id}` }
+      ].filter(Boolean)
+    });
+  }
+  
+  const pages = Math.ceil(total / MARKETS_PAGE_SIZE);
+  if (pages > 1) {
+    const pageButton = (text, page) => ({
+      type: "button",
+      text: { type: "plain_text", text },
+      action_id: `markets_page_${page}`,
+      value: JSON.stringify({ ...filters, page })
+    });
+    blocks.push({ type: "divider" });
+    blocks.push({
+      type: "actions",
+      elements: [
+        filters.page > 0 ? pageButton('◀ Prev', filters.page - 1) : null,
+        filters.page < pages - 1 ? pageButton('Next ▶', filters.page + 1) : null
+      ].filter(Boolean)
+    });
+    blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: `Page ${filters.page + 1} of ${pages}` }] });
+  }
+  
+  blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: "💡 Filter with `by:@user` `in:#channel` `tag:name` `closing:7` `overdue` `resolved` `sort:volume|deadline|recent` `all`, or add words to search" }] });
+  return blocks;
+}
+
+async function browseMarkets(teamId, filters) {
+  const { markets, total } = await searchMarkets(teamId, filters, MARKETS_PAGE_SIZE, filters.page * MARKETS_PAGE_SIZE);
+  
+  if (total === 0) {
+    return {
+      text: `📝 No markets found (${describeMarketFilters(filters)}).${filters.channelId ? ' `/predict markets all` looks in every channel.' : ''} Create one with:\n\`/predict create Your question? | 2025-06-20\``
+    };
+  }
+  
+  return {
+    text: `📊 ${total} ${total === 1 ? 'market' : 'markets'} found`,
+    blocks: buildMarketBrowser(markets, total, filters)
+  };
+}
+
+// Crowd distribution for /predict info on a numeric / date market
+function formatScalarInfo(market, bets, userBet) {
+  const prices = getOutcomePrices(market);
+  const unit = market.scalar_unit;
+  const top = Math.max(...prices);
+  
+  const histogram = market.outcomes.map((label, i) => {
+    const bar = '█'.repeat(Math.max(1, Math.round(prices[i] / top * 10)));
+    const winner = market.winning_outcome === i ? ' ✅' : '';
+    return `\`${bar.padEnd(10, ' ')}\` ${(prices[i] * 100).toFixed(1)}% ${label}${winner}`;
+  }).join('\n');
+  
+  const resolved = market.resolved_value !== null && market.resolved_value !== undefined
+    ? `\n🏁 Resolved value: *${formatScalarValue(market.resolved_value, unit)}*`
+    : '';
+  
+  let positionDetails = '';
+  if (userBet) {
+    const forecast = userBet.point_estimate !== null
+      ? `${formatScalarValue(userBet.point_estimate, unit)} (${formatScalarValue(userBet.interval_low, unit)}..${formatScalarValue(userBet.interval_high, unit)})`
+      : userBet.probabilities.map(p => (p * 100).toFixed(0)).join('/');
+    positionDetails = `\n🎯 Your forecast: ${forecast} for $${userBet.stake}`;
+  }
+  
+  const participants = new Set(bets.map(bet => bet.user_id)).size;
+  
+  return `📊 *Market Details*\n\n*${market.question}*\n\n📈 Crowd: *${formatScalarSummary(market)}*\n${histogram}${resolved}\n\n💰 Total staked: ${market.total_stake}\n👥 Participants: ${participants}\n🏦 Liquidity: b=${parseFloat(market.liquidity)}\n⏰ Deadline: ${formatSlackDate(market.deadline)}${positionDetails}`;
+}
+
+// Per-outcome breakdown for /predict info on a multiple-choice market
+function formatCategoricalInfo(market, bets, userBet) {
+  const prices = getOutcomePrices(market);
+  
+  const rows = market.outcomes.map((label, i) => {
+    const backers = bets.filter(bet => bet.probabilities && bet.probabilities.indexOf(Math.max(...bet.probabilities)) === i).length;
+    const winner = market.winning_outcome === i ? ' ✅' : '';
+    return `${i + 1}. *${label}*${winner} - *${(prices[i] * 100).toFixed(1)}%* | ${formatShares(market.outcome_shares[i])} shares | ${backers} backing`;
+  }).join('\n');
+  
+  let positionDetails = '';
+  if (userBet && userBet.outcome_shares) {
+    const held = userBet.outcome_shares
+      .map((shares, i) => parseFloat(shares) >= 0.05 ? `${formatShares(shares)} ${market.outcomes[i]}` : null)
+      .filter(Boolean)
+      .join(', ');
+    const forecast = userBet.probabilities.map(p => (p * 100).toFixed(0)).join('/');
+    positionDetails = `\n🎯 Your position: ${held || 'no shares'} for $${userBet.stake} (your forecast ${forecast})`;
+  }
+  
+  const participants = new Set(bets.map(bet => bet.user_id)).size;
+  
+  return `📊 *Market Details*\n\n*${market.question}*\n\n${rows}\n\n💰 Total staked: ${market.total_stake}\n👥 Participants: ${participants}\n🏦 Liquidity: b=${parseFloat(market.liquidity)}\n⏰ Deadline: ${formatSlackDate(market.deadline)}${positionDetails}`;
+}
+
+// Consensus at one point in a market's history: the YES price, each outcome's odds
+// or the crowd's median
+function formatConsensus(market, probability, outcomeProbabilities) {
+  if (outcomeProbabilities && isScalarMarket(market)) {
+    const median = scalarQuantile(market, outcomeProbabilities.map(parseFloat), 0.5);
+    return `median ${formatScalarValue(market.scalar_unit === 'date' ? Math.floor(median / DAY_MS) * DAY_MS : median, market.scalar_unit)}`;
+  }
+  if (outcomeProbabilities) {
+    return market.outcomes.map((label, i) => `${label} ${(outcomeProbabilities[i] * 100).toFixed(0)}%`).join(' / ');
+  }
+  return `${(parseFloat(probability) * 100).toFixed(1)}%`;
+}
+
+
+// How many points of a market's history /predict info shows: the opening price and the latest trades
+const TIMELINE_POINTS = 8;
+const REVISION_LOG_ENTRIES = 10;
+
+function formatTimeline(market, history) {
+  if (history.length === 0) return '';
+
+  const trimmed = history.length > TIMELINE_POINTS;
+  const shown = trimmed ? [history[0], ...history.slice(-(TIMELINE_POINTS - 1))] : history;
+
+  const lines = shown.map((point, i) => {
+    const gap = trimmed && i === 1 ? `  ⋮ ${history.length - TIMELINE_POINTS} earlier trades\n` : '';
+    const cause = point.revision_id ? ` after <@${point.user_id}>` : ' at open';
+    return `${gap}${formatSlackDate(point.created_at)} ${formatConsensus(market, point.probability, point.outcome_probabilities)}${cause}`;
+  });
+
+  return `\n\n📉 *Consensus Timeline:*\n${lines.join('\n')}`;
+}
+
+// One forecast revision: numeric forecasts show the estimate, multiple choice the full
+// forecast and yes/no markets the move from the previous probability
+function formatRevision(market, revision) {
+  const unit = market.scalar_unit;
+  let forecast;
+  if (revision.point_estimate !== null) {
+    forecast = `${formatScalarValue(revision.point_estimate, unit)} (${formatScalarValue(revision.interval_low, unit)}..${formatScalarValue(revision.interval_high, unit)})`;
+  } else if (revision.probabilities) {
+    forecast = revision.probabilities.map(p => (p * 100).toFixed(0)).join('/');
+  } else {
+    const previous = revision.old_probability !== null ? `${(parseFloat(revision.old_probability) * 100).toFixed(1)}% → ` : '';
+    forecast = `${previous}${(parseFloat(revision.new_probability) * 100).toFixed(1)}%`;
+  }
+
+  const stake = revision.old_stake !== null ? `$${revision.old_stake} → $${revision.new_stake}` : `$${revision.new_stake}`;
+  return `${formatSlackDate(revision.created_at)} ${forecast} | stake ${stake}`;
+}
+
+function formatRevisionLog(market, revisions, userId, isOwn) {
+  if (revisions.length === 0) return '';
+
+  const shown = revisions.slice(-REVISION_LOG_ENTRIES);
+  const earlier = revisions.length - shown.length;
+  const title = isOwn ? 'Your Revisions' : `Revisions by <@${userId}>`;
+
+  return `\n\n🕓 *${title}:*\n${earlier > 0 ? `  ⋮ ${earlier} earlier\n` : ''}${shown.map(revision => formatRevision(market, revision)).join('\n')}`;
+}
+
+// Compact value-axis labels for numeric markets (dates as month/day; date values are UTC midnights)
+function formatChartValue(value, unit) {
+  if (unit === 'date') {
+    const date = new Date(value);
+    return `${date.getUTCMonth() + 1}/${date.getUTCDate()}`;
+  }
+  if (Math.abs(value) >= 1e6) return `${parseFloat((value / 1e6).toFixed(1))}M`;
+  if (Math.abs(value) >= 1e3) return `${parseFloat((value / 1e3).toFixed(1))}k`;
+  return `${parseFloat(value.toFixed(1))}`;
+}
+
+// Each history point's crowd median on a numeric market
+function historyMedians(market, history) {
+  return history.map(point => scalarQuantile(market, point.outcome_probabilities.map(parseFloat), 0.5));
+}
+
+// PNG of a market's history: the YES price for yes/no markets, one line per outcome for
+// multiple choice and the crowd median for numeric markets, over volume bars, with the
+// resolution marked. `legend` names the outcome colours for the message text.
+function buildMarketChart(market, history, timeZone = 'UTC') {
+  const times = history.map(point => new Date(point.created_at).getTime());
+  const bars = times.slice(1).map((t, i) => ({ t, value: Math.abs(history[i + 1].total_stake - history[i].total_stake) }));
+  const resolvedAt = market.resolved_at ? new Date(market.resolved_at).getTime() : null;
+  const options = { bars, xEnd: resolvedAt || Date.now(), timeZone };
+  let legend = '';
+  
+  if (isScalarMarket(market)) {
+    const medians = historyMedians(market, history);
+    options.series = [{ points: medians.map((value, i) => ({ t: times[i], value })) }];
+    options.yMin = parseFloat(market.scalar_min);
+    options.yMax = parseFloat(market.scalar_max);
+    options.formatY = (value) => formatChartValue(value, market.scalar_unit);
+    if (market.resolved_value !== null && !market.voided) {
+      options.marker = { t: resolvedAt, value: parseFloat(market.resolved_value), color: COLORS.yes };
+    }
+  } else if (isCategoricalMarket(market)) {
+    options.series = market.outcomes.map((_, outcome) => ({
+      points: history.map((point, i) => ({ t: times[i], value: parseFloat(point.outcome_probabilities[outcome]) }))
+    }));
+    legend = market.outcomes.map((label, i) => `${SERIES_PALETTE[i % SERIES_PALETTE.length].emoji} ${label}`).join('  ');
+    if (market.winning_outcome !== null && !market.voided) {
+      options.marker = { t: resolvedAt, value: 1, color: SERIES_PALETTE[market.winning_outcome % SERIES_PALETTE.length].color };
+    }
+  } else {
+    options.series = [{ points: history.map((point, i) => ({ t: times[i], value: parseFloat(point.probability) })) }];
+    if (market.resolution !== null && !market.voided) {
+      options.marker = { t: resolvedAt, value: market.resolution ? 1 : 0, color: market.resolution ? COLORS.yes : COLORS.no };
+    }
+  }
+  
+  if (market.voided && resolvedAt) {
+    options.marker = { t: resolvedAt, color: COLORS.axis };
+  }
+  
+  return { png: renderChart(options), legend };
+}
+
+// Text fallback for when the chart image can't be uploaded
+function formatMarketSparkline(market, history) {
+  if (isScalarMarket(market)) {
+    const medians = historyMedians(market, history);
+    const unit = market.scalar_unit;
+    return `\`${sparkline(medians, 24, parseFloat(market.scalar_min), parseFloat(market.scalar_max))}\` median ${formatScalarValue(medians[0], unit)} → ${formatScalarValue(medians[medians.length - 1], unit)}`;
+  }
+  if (isCategoricalMarket(market)) {
+    return market.outcomes.map((label, outcome) => {
+      const values = history.map(point => parseFloat(point.outcome_probabilities[outcome]));
+      return `\`${sparkline(values, 24, 0, 1)}\` ${(values[values.length - 1] * 100).toFixed(0)}% ${label}`;
+    }).join('\n');
+  }
+  const values = history.map(point => parseFloat(point.probability));
+  return `\`${sparkline(values, 24, 0, 1)}\` ${(values[0] * 100).toFixed(1)}% → ${(values[values.length - 1] * 100).toFixed(1)}%`;
+}
+
+const MARKET_TYPES = ['binary', 'categorical', 'scalar'];
+const MIN_OPENING_PROBABILITY = 0.01;
+
+// Validate a new market and turn it into createMarket() data. Problems are keyed by the
+// modal field they belong to (question, deadline, outcomes, range, buckets, probability,
+// liquidity) so the modal can show each inline and the slash command the first one.
+async function prepareMarket(input, creatorId, teamId) {
+  const errors = {};
+  const marketType = input.marketType || 'binary';
+  const question = (input.question || '').trim();
+  
+  if (!question) {
+    errors.question = 'Ask a question';
+  }
+  
+  const deadline = input.deadline;
+  if (!(deadline instanceof Date) || isNaN(deadline.getTime())) {
+    errors.deadline = 'Pick a deadline, e.g. `next Friday 5pm`, `in 2 weeks` or `2025-06-20`';
+  } else if (deadline < new Date()) {
+    errors.deadline = 'Deadline must be in the future';
+  }
+  
+  // Numeric / date markets turn their range into outcome buckets
+  let outcomes = null;
+  let scalar = null;
+  if (marketType === 'scalar') {
+    const range = input.range;
+    const isDate = range && [range.min, range.max].every(v => /^\d{4}-\d{2}-\d{2}$/.test(v));
+    const unit = isDate ? 'date' : 'number';
+    const min = range ? parseScalarValue(range.min, unit) : NaN;
+    const max = range ? parseScalarValue(range.max, unit) : NaN;
+    
+    if (input.outcomes) {
+      errors.range = 'A market can have outcomes or a range, not both';
+    } else if (isNaN(min) || isNaN(max) || min >= max) {
+      errors.range = 'Range must look like `0..500` or `2025-07-01..2025-07-31`, smallest first';
+    } else {
+      const days = Math.round((max - min) / DAY_MS) + 1;
+      const bucketCount = input.buckets || (isDate ? Math.min(days, DEFAULT_SCALAR_BUCKETS) : DEFAULT_SCALAR_BUCKETS);
+      if (bucketCount < 2 || bucketCount > MAX_SCALAR_BUCKETS || (isDate && bucketCount > days)) {
+        errors.buckets = `Numeric markets need 2-${MAX_SCALAR_BUCKETS} buckets${isDate ? ', at most one per day' : ''}`;
+      } else {
+        scalar = { min, max, unit };
+        outcomes = buildScalarBuckets(min, max, bucketCount, unit);
+      }
+    }
+  } else if (marketType === 'categorical') {
+    outcomes = (input.outcomes || []).map(o => o.trim()).filter(Boolean);
+    const unique = new Set(outcomes.map(o => o.toLowerCase()));
+    if (outcomes.length < 2 || outcomes.length > MAX_OUTCOMES || unique.size !== outcomes.length) {
+      errors.outcomes = `Multiple-choice markets need 2-${MAX_OUTCOMES} distinct outcomes`;
+    }
+  }
+  
+  // Yes/no markets can open away from 50%
+  const probability = marketType === 'binary' && input.probability !== null && input.probability !== undefined
+    ? input.probability
+    : null;
+  if (probability !== null && (isNaN(probability) || probability < MIN_OPENING_PROBABILITY || probability > 1 - MIN_OPENING_PROBABILITY)) {
+    errors.probability = 'Initial probability must be between 1% and 99%';
+  }
+  
+  if (Object.keys(errors).length > 0) {
+    return { errors };
+  }
+  
+  const outcomeCount = outcomes ? outcomes.length : 2;
+  const lowestPrice = probability !== null ? Math.min(probability, 1 - probability) : 1 / outcomeCount;
+  const maxLiquidity = lmsrMaxLiquidity(MAX_SUBSIDY, outcomeCount, lowestPrice);
+  const liquidity = input.liquidity || Math.min(DEFAULT_LIQUIDITY, maxLiquidity);
+  
+  // The creator funds the market maker's worst-case loss
+  const subsidy = lmsrSubsidy(liquidity, outcomeCount, lowestPrice);
+  if (liquidity <= 0 || subsidy > MAX_SUBSIDY) {
+    return { errors: { liquidity: `Liquidity must be between 1 and ${maxLiquidity} (max subsidy: $${MAX_SUBSIDY})` } };
+  }
+  
+  const creator = await getUser(creatorId, teamId);
+  const available = creator.bankroll - creator.total_staked;
+  if (subsidy > available) {
+    return { errors: { liquidity: `Creating this market locks a $${subsidy} subsidy. Available: $${available}` } };
+  }
+  
+  const opening = probability !== null ? lmsrOpeningShares(liquidity, probability) : { q_yes: 0, q_no: 0 };
+  
+  return {
+    errors: null,
+    market: {
+      question,
+      description: input.description ? input.description.trim() || null : null,
+      resolutionCriteria: input.resolutionCriteria ? input.resolutionCriteria.trim() || null : null,
+      creator: creatorId,
+      deadline,
+      probability: probability !== null ? probability : 1 / outcomeCount,
+      totalStake: 0,
+      active: true,
+      liquidity,
+      subsidy,
+      qYes: opening.q_yes,
+      qNo: opening.q_no,
+      marketType: scalar ? 'scalar' : outcomes ? 'categorical' : 'binary',
+      outcomes,
+      scalar
+    }
+  };
+}
+
+// Parse market creation from natural language
+function parseMarketCreation(text) {
+  let cleanText = text.replace(/^create\s+/i, '');
+  
+  if (cleanText.includes('|')) {
+    const [question, dateStr, ...options] = cleanText.split('|').map(s => s.trim());
+    
+    // Optional extra parts: LMSR liquidity ("b=150"), outcomes ("Acme, Globex, Initech"),
+    // a numeric or date range ("range 0..500") and its bucket count ("buckets 10")
+    let liquidity = null;
+    let outcomes = null;
+    let range = null;
+    let buckets = null;
+    for (const option of options) {
+      const liquidityMatch = option.match(/^(?:b\s*=\s*|liquidity\s+)?(\d+(?:\.\d+)?)$/i);
+      const rangeMatch = option.match(/^(?:range\s*[:=]?\s*)?(\S+)\s*\.\.\s*(\S+)$/i);
+      const bucketsMatch = option.match(/^buckets?\s*[:=]?\s*(\d+)$/i);
+      if (liquidityMatch) {
+        liquidity = parseFloat(liquidityMatch[1]);
+      } else if (rangeMatch) {
+        range = { min: rangeMatch[1], max: rangeMatch[2] };
+      } else if (bucketsMatch) {
+        buckets = parseInt(bucketsMatch[1]);
+      } else if (option.includes(',')) {
+        outcomes = option.replace(/^(?:options|outcomes):\s*/i, '').split(',').map(o => o.trim()).filter(Boolean);
+      } else {
+        return null;
+      }
+    }
+    
+    if (buckets && !range) return null;
+    
+    return { question, deadline: dateStr, liquidity, outcomes, range, buckets, probability: null };
+  }
+  
+  // "Will we ship X? - 65% chance" opens a yes/no market at 65% with a week to run
+  const chanceMatch = cleanText.match(/^(.+?)\s+-\s+(\d+(?:\.\d+)?)%\s+chance\s*$/i);
+  if (chanceMatch) {
+    return {
+      question: chanceMatch[1].trim(),
+      deadline: 'in 1 week',
+      liquidity: null,
+      outcomes: null,
+      range: null,
+      buckets: null,
+      probability: parseFloat(chanceMatch[2]) / 100
+    };
+  }
+  
+  return null;
+}
+
+// Upload a chart PNG to a channel, or a thread in it. Returns false when uploads aren't
+// allowed there (no files:write scope, bot not in the channel...) so callers can fall
+// back to text.
+async function uploadChart(client, channelId, png, filename, comment, threadTs = null) {
+  try {
+    await client.files.uploadV2({
+      channel_id: channelId,
+      thread_ts: threadTs || undefined,
+      file: png,
+      filename,
+      initial_comment: comment
+    });
+    return true;
+  } catch (error) {
+    console.error('Chart upload failed:', error.data ? error.data.error : error.message);
+    return false;
+  }
+}
+
+// Post a new market's card and remember where it went so it can be kept up to date
+async function postMarketCard(client, marketId, channelId) {
+  const market = await getMarket(marketId);
+  const result = await client.chat.postMessage({
+    channel: channelId,
+    text: `🎯 New market: ${market.question}`,
+    blocks: buildMarketCard(market)
+  });
+  await updateMarket(marketId, { channel_id: result.channel, message_ts: result.ts });
+}
+
+// After a bet, close or resolution the market card is edited and the App Home of everyone
+// in the market is republished, a few seconds later. Changes in the meantime fold into
+// the same update, so a burst of bets costs one round of API calls instead of one each.
+const CARD_UPDATE_DELAY_MS = parseInt(process.env.CARD_UPDATE_DELAY_MS) || 3000;
+const pendingCardUpdates = new Map();
+
+function scheduleMarketUpdate(marketId) {
+  if (pendingCardUpdates.has(marketId)) return;
+  
+  pendingCardUpdates.set(marketId, setTimeout(async () => {
+    pendingCardUpdates.delete(marketId);
+    try {
+      await refreshMarketCard(marketId);
+    } catch (error) {
+      console.error(`Failed to update card for ${marketId}:`, error.data ? error.data.error : error.message);
+    }
+    try {
+      await refreshMarketHomes(marketId);
+    } catch (error) {
+      console.error(`Failed to refresh App Homes for ${marketId}:`, error.data ? error.data.error : error.message);
+    }
+  }, CARD_UPDATE_DELAY_MS));
+}
+
+async function refreshMarketCard(marketId) {
+  const market = await getMarket(marketId);
+  if (!market || !market.message_ts) return;
+  
+  await app.client.chat.update({
+    token: await getBotToken(market.team_id),
+    channel: market.channel_id,
+    ts: market.message_ts,
+    text: `🎯 ${market.question}`,
+    blocks: buildMarketCard(market, await getParticipantCount(marketId))
+  });
+}
+
+async function openDirectMessage(client, userId) {
+  try {
+    const result = await client.conversations.open({ users: userId });
+    return result.channel.id;
+  } catch (error) {
+    console.error('Error opening DM:', error.data ? error.data.error : error.message);
+    return null;
+  }
+}
+
+// Upload the market's chart to the thread under its card, unless the chart there is already
+// current. The row is claimed first so overlapping lookups post it once; a failed upload
+// gives the claim back. Returns false when the chart isn't in the thread.
+async function postThreadChart(client, market, history) {
+  if (!market.channel_id || !market.message_ts) return false;
+  
+  const claimed = await pool.query(`
+    UPDATE markets SET chart_points = $2
+    WHERE id = $1 AND chart_points IS DISTINCT FROM $2
+    RETURNING id
+  `, [market.id, history.length]);
+  if (claimed.rows.length === 0) return true;
+  
+  // Shared by everyone in the channel, so the time axis is in UTC
+  const { png, legend } = buildMarketChart(market, history);
+  const uploaded = await uploadChart(client, market.channel_id, png, `${market.id}.png`, `📈 *${market.question}*${legend ? `\n${legend}` : ''}`, market.message_ts);
+  if (!uploaded) {
+    await pool.query('UPDATE markets SET chart_points = $2 WHERE id = $1', [market.id, market.chart_points]);
+  }
+  return uploaded;
+}
+
+// Everything `/predict info` shows about a market: odds, the user's position, history
+// and the chart
+async function buildMarketInfo(client, market, userId, revisionsUserId) {
+  const bets = await getMarketBets(market.id);
+  const participants = new Set(bets.map(bet => bet.user_id)).size;
+  const user_bet = bets.find(bet => bet.user_id === userId);
+  
+  const marketNotes = (market.description ? `\n📝 ${market.description}` : '') +
+    (market.resolution_criteria ? `\n⚖️ Resolves by: ${market.resolution_criteria}` : '') +
+    (market.voided ? `\n🚫 Cancelled: ${market.void_reason || 'No reason given'} (stakes refunded)` : '');
+  
+  const marketHistory = await getMarketHistory(market.id);
+  let history = formatTimeline(market, marketHistory) +
+    formatRevisionLog(market, await getForecastRevisions(market.id, revisionsUserId), revisionsUserId, revisionsUserId === userId);
+  
+  // Chart the history in the market's thread (only re-posted once there are new trades).
+  // If that upload fails it goes to the user's DM, and failing that inline as a sparkline.
+  if (marketHistory.length >= 2) {
+    const inThread = await postThreadChart(client, market, marketHistory);
+    let uploaded = inThread;
+    if (!inThread) {
+      const { png, legend } = buildMarketChart(market, marketHistory, await getUserTimezone(client, userId));
+      const dm = await openDirectMessage(client, userId);
+      uploaded = dm && await uploadChart(client, dm, png, `${market.id}.png`, `📈 *${market.question}*${legend ? `\n${legend}` : ''}`);
+    }
+    history += inThread
+      ? `\n\n📈 Chart in the thread under the market card in <#${market.channel_id}>`
+      : uploaded
+        ? '\n\n📈 Chart sent to your DMs'
+        : `\n\n📈 *Price History:*\n${formatMarketSparkline(market, marketHistory)}`;
+  }
+  
+  if (isCategoricalMarket(market) || isScalarMarket(market)) {
+    return (isScalarMarket(market) ? formatScalarInfo(market, bets, user_bet) : formatCategoricalInfo(market, bets, user_bet)) + marketNotes + history;
+  }
+  
+  let betDetails = '';
+  if (user_bet && isLmsrMarket(market)) {
+    betDetails = `\n🎯 Your position: ${formatShares(user_bet.shares_yes)} YES / ${formatShares(user_bet.shares_no)} NO shares for $${user_bet.stake} (last forecast ${(parseFloat(user_bet.probability) * 100).toFixed(1)}%)`;
+  } else if (user_bet) {
+    betDetails = `\n🎯 Your bet: ${user_bet.stake} on ${(parseFloat(user_bet.probability) * 100).toFixed(1)}%`;
+  }
+  
+  // Show what a typical trade would buy right now
+  let makerDetails = '';
+  if (isLmsrMarket(market)) {
+    const quoteAmount = 25;
+    const yesQuote = quoteLmsrTrade(market, 1, quoteAmount);
+    const noQuote = quoteLmsrTrade(market, 0, quoteAmount);
+    makerDetails = `\n🏦 Liquidity: b=${parseFloat(market.liquidity)} | ${formatShares(market.q_yes)} YES / ${formatShares(market.q_no)} NO shares outstanding` +
+      `\n💱 $${quoteAmount} buys ${formatShares(yesQuote.shares)} YES → ${(yesQuote.new_market_probability * 100).toFixed(1)}% or ${formatShares(noQuote.shares)} NO → ${(noQuote.new_market_probability * 100).toFixed(1)}%`;
+  }
+  
+  return `📊 *Market Details*\n\n*${market.question}*\n\n📈 Probability: *${(parseFloat(market.probability) * 100).toFixed(1)}%*\n💰 Total staked: ${market.total_stake}\n👥 Participants: ${participants}\n⏰ Deadline: ${formatSlackDate(market.deadline)}${makerDetails}${betDetails}${marketNotes}${history}`;
+}
+
+// Put everyone who interacts with the app in their workspace before any handler runs
+app.use(async ({ context, next }) => {
+  if (context.userId && context.teamId) {
+    try {
+      await joinTeam(context.userId, context.teamId);
+    } catch (error) {
+      console.error('Error assigning user to workspace:', error);
+    }
+  }
+  await next();
+});
+
+// Posted where the season was started: the podium of every leaderboard
+function formatSeasonRecap(season, standings, resetTo, next) {
+  const boards = Object.keys(LEADERBOARD_TYPES).map(type => {
+    const podium = standings[type].slice(0, 3).map((user, i) => `${LEADERBOARD_MEDALS[i]} ${formatLeaderboardName(user)} - ${formatLeaderboardStat(user, type)}`);
+    return `${LEADERBOARD_EMOJIS[type]} *${type.charAt(0).toUpperCase() + type.slice(1)}*\n${podium.join('\n') || 'Nobody qualified'}`;
+  });
+  const fresh = `🔄 Stats start fresh${resetTo !== null ? ` and bankrolls are back to $${resetTo}` : ''}${next ? `. Season *${next.name}* starts now!` : '.'}`;
+
+  return `🏁 *Season ${season.name} is over!* (${formatSlackDate(season.started_at, false)} - ${formatSlackDate(season.ended_at, false)})\n\n${boards.join('\n\n')}\n\n${fresh}\n📜 Full standings: \`/predict leaderboard profit season:${season.name}\``;
+}
+
+// End a season and post its recap. Rolling seasons ended by the scheduler go straight into
+// the next period. `posted` is false when the recap couldn't be posted (or there's nowhere
+// to post it) so a command can show it instead.
+async function finishSeason(season, { resetBankrolls = season.reset_bankrolls, rollOver = false } = {}) {
+  const result = await endSeason(season.id, resetBankrolls);
+  if (!result) return null;
+
+  const next = rollOver ? await startSeason(season.team_id, {
+    rollover: season.rollover,
+    resetBankrolls: season.reset_bankrolls,
+    channelId: season.channel_id,
+    startedBy: season.started_by
+  }) : null;
+
+  const recap = formatSeasonRecap(result.season, result.standings, result.resetTo, next);
+  let posted = false;
+  if (season.channel_id) {
+    try {
+      await app.client.chat.postMessage({
+        token: await getBotToken(season.team_id),
+        channel: season.channel_id,
+        text: recap
+      });
+      posted = true;
+    } catch (error) {
+      console.error(`Failed to post recap for season ${season.name}:`, error.data ? error.data.error : error.message);
+    }
+  }
+
+  return { ...result, next, recap, posted };
+}
+
+function formatSeasonStatus(season) {
+  if (!season) return '🗓️ No season running, so leaderboards are all-time';
+  const rolls = season.rollover ? `, rolls over ${season.rollover} on ${formatSlackDate(season.ends_at, false)}` : '';
+  return `🗓️ Season *${season.name}* since ${formatSlackDate(season.started_at, false)}${rolls}`;
+}
+
+const LEADERBOARD_ALIASES = { money: 'profit', activity: 'volume', streaks: 'streak' };
+
+// `/predict economy` setting names and the workspace_settings columns they change
+const ECONOMY_SETTINGS = {
+  starting: 'starting_balance',
+  allowance: 'allowance',
+  every: 'allowance_days',
+  cap: 'allowance_cap',
+  bailout: 'bailout'
+};
+
+function formatEconomy(economy) {
+  const allowance = economy.allowance > 0
+    ? `$${economy.allowance} every ${economy.allowance_days} day${economy.allowance_days === 1 ? '' : 's'} while under $${economy.allowance_cap}`
+    : 'off';
+  const bailout = economy.bailout > 0 ? `$${economy.bailout}, once, for players at $0 (${BAILOUT_FLAG} on the leaderboards)` : 'off';
+  return `💰 Starting balance: $${economy.starting_balance}\n🎁 Allowance: ${allowance}\n${BAILOUT_FLAG} Bailout: ${bailout}`;
+}
+
+// Help menu sections, in order. Commands list under the section named by their `group`.
+const HELP_GROUPS = [
+  { id: 'create', title: '📝 Create Markets' },
+  { id: 'bet', title: '💰 Place Bets' },
+  { id: 'view', title: '📊 View Markets' },
+  { id: 'stats', title: '📈 Your Stats', notes: ['🏠 Open my *Home* tab for your dashboard'] },
+  { id: 'leaderboard', title: '🏆 Leaderboards' },
+  { id: 'info', title: 'ℹ️ Market Info' },
+  { id: 'admin', title: '🔧 Admin Commands', admin: true }
+];
+
+// /predict subcommands. The first word of the input picks one by name or alias, the rest
+// is parsed against its `args`, and usage and help text come from the same definitions.
+// `examples` are [input, explanation] pairs shown in the help menu.
+const PREDICT_COMMANDS = [
+  {
+    name: 'help',
+    args: [{ name: 'command', type: 'word', optional: true }],
+    description: 'Show this menu, or the details of one command',
+    run: async ({ respond, isAdmin, teamId }, { command: topic }) => {
+      if (!topic) {
+        await respond(getHelpMenu(isAdmin, await getEconomy(teamId)));
+        return;
+      }
+
+      const command = findPredictCommand(topic);
+      await respond({
+        response_type: 'ephemeral',
+        text: command && (!command.admin || isAdmin)
+          ? formatCommandDetails(command)
+          : `❌ No command called \`${topic}\`. Try \`/predict help\` for available options.`
+      });
+    }
+  },
+  {
+    name: 'create',
+    aliases: ['new'],
+    group: 'create',
+    args: [{ name: 'question | deadline', type: 'text', optional: true }],
+    description: 'Open the market form (also under the ⚡ shortcuts menu), or create a market in one line',
+    examples: [
+      ['create Will we ship Feature X by Friday? | next Friday 5pm', null],
+      ['Will we ship X? - 65% chance', 'Yes/no market opening at 65%, closes in a week'],
+      ['create ... | 2025-06-20 | b=50', 'Set market maker liquidity'],
+      ['create Which vendor? | 2025-06-20 | Acme, Globex, Initech', 'Multiple choice'],
+      ['create How many signups? | 2025-06-20 | range 0..500', 'Numbers or dates (`| buckets 10`)']
+    ],
+    note: 'Deadlines can be a date (`2025-06-20 17:00`) or `tomorrow noon`, `in 2 weeks`, `EOD`, `end of quarter`, in your Slack timezone',
+    run: async ({ command, respond, client, teamId }, args) => {
+      const input = args['question | deadline'];
+      if (!input) {
+        await openCreateMarketModal(client, command.trigger_id, command.channel_id);
+        return;
+      }
+
+      const parsed = parseMarketCreation(input);
+      if (!parsed) {
+        await respond({
+          response_type: 'ephemeral',
+          text: "❌ Invalid format. Try:\n`/predict create Will we ship X? | next Friday 5pm`\nor\n`/predict create Will we ship X? | 2025-06-20 | b=150` (market maker liquidity)\nor\n`/predict create Which vendor? | 2025-06-20 | Acme, Globex, Initech` (multiple choice)\nor\n`/predict create How many signups? | 2025-06-20 | range 0..500` (numeric)\nor\n`/predict Will we ship X? - 65% chance` (opens at 65%, closes in a week)\nor just `/predict create` to fill in a form"
+        });
+        return;
+      }
+
+      const marketId = `market_${Date.now()}`;
+      const { errors, market } = await prepareMarket({
+        question: parsed.question,
+        deadline: parseDeadline(parsed.deadline, await getUserTimezone(client, command.user_id)),
+        marketType: parsed.range ? 'scalar' : parsed.outcomes ? 'categorical' : 'binary',
+        outcomes: parsed.outcomes,
+        range: parsed.range,
+        buckets: parsed.buckets,
+        liquidity: parsed.liquidity,
+        probability: parsed.probability
+      }, command.user_id, teamId);
+
+      if (errors) {
+        await respond(`❌ ${Object.values(errors)[0]}`);
+        return;
+      }
+
+      await createMarket({ ...market, id: marketId, channelId: command.channel_id, teamId });
+
+      try {
+        await postMarketCard(client, marketId, command.channel_id);
+      } catch (error) {
+        // The bot can't post here itself (e.g. not in the channel), so answer through the
+        // command instead. That card can't be kept up to date.
+        console.error(`Failed to post card for ${marketId}:`, error.data ? error.data.error : error.message);
+        await respond({
+          response_type: 'in_channel',
+          blocks: buildMarketCard(await getMarket(marketId))
+        });
+      }
+    }
+  },
+  {
+    name: 'bet',
+    group: 'bet',
+    args: [
+      { name: 'market_id', type: 'market' },
+      { name: 'outcome', type: 'word', optional: true },
+      { name: 'probability', type: 'forecast' },
+      { name: 'stake', type: 'money' }
+    ],
+    description: 'Place or change a bet',
+    examples: [
+      ['bet market_123 75 50', '75% probability, $50 stake'],
+      ['bet market_123 2 60 50', 'Outcome 2 to 60%, $50 stake'],
+      ['bet market_123 50/30/20 50', 'Your odds for every outcome'],
+      ['bet market_123 120 80..200 50', 'Best guess and 80% interval on a numeric market']
+    ],
+    run: async ({ command, respond, teamId }, args) => {
+      const forecast = args.probability;
+      let probability = forecast.probability;
+      let outcome = args.outcome || null;
+      let scalar = null;
+
+      // Numeric markets take a best guess before the interval, e.g. 120 100..150
+      if (forecast.low !== undefined) {
+        if (!outcome) {
+          await respond('❌ Give your best guess before the interval, e.g. `/predict bet market_123 120 80..200 50`');
+          return;
+        }
+        scalar = { point: outcome, low: forecast.low, high: forecast.high };
+        probability = null;
+        outcome = null;
+      } else if (forecast.probabilities) {
+        if (outcome) {
+          await respond('❌ Give either one outcome and its probability, or odds for every outcome like `50/30/20`');
+          return;
+        }
+        probability = forecast.probabilities;
+      }
+
+      if (!await getTeamMarket(args.market_id, teamId)) {
+        await respond('❌ Market not found or inactive');
+        return;
+      }
+
+      // Bet problems (bankroll, expired market...) read fine on their own
+      let result;
+      try {
+        result = await placeBet(args.market_id, command.user_id, args.stake, probability, outcome, scalar);
+      } catch (error) {
+        await respond(`❌ ${error.message}`);
+        return;
+      }
+      scheduleMarketUpdate(args.market_id);
+      const marketLine = result.new_outcome_probabilities ? '' : `\n\n📊 Market: *${(result.new_market_probability * 100).toFixed(1)}%*`;
+
+      await respond({
+        response_type: 'ephemeral',
+        text: `✅ ${result.message}${marketLine}\n💰 Available: ${result.user.bankroll - result.user.total_staked}`
+      });
+    }
+  },
+  {
+    name: 'sell',
+    aliases: ['cashout'],
+    group: 'bet',
+    args: [
+      { name: 'market_id', type: 'market' },
+      { name: 'fraction', type: 'fraction', optional: true }
+    ],
+    description: 'Cash out all or part of a position at the current price',
+    examples: [['sell market_123 50%', 'Sell half your shares and lock in the profit (or loss) on them']],
+    run: async ({ command, respond, teamId }, args) => {
+      if (!await getTeamMarket(args.market_id, teamId)) {
+        await respond('❌ Market not found or inactive');
+        return;
+      }
+
+      let result;
+      try {
+        result = await sellPosition(args.market_id, command.user_id, args.fraction || 1);
+      } catch (error) {
+        await respond(`❌ ${error.message}`);
+        return;
+      }
+      scheduleMarketUpdate(args.market_id);
+      const marketLine = result.new_outcome_probabilities ? '' : `\n\n📊 Market: *${(result.new_market_probability * 100).toFixed(1)}%*`;
+
+      await respond({
+        response_type: 'ephemeral',
+        text: `✅ ${result.message}${marketLine}\n💰 Available: ${result.user.bankroll - result.user.total_staked}`
+      });
+    }
+  },
+  {
+    name: 'markets',
+    aliases: ['list'],
+    group: 'view',
+    args: [{ name: 'filters', type: 'text', optional: true }],
+    description: 'Active markets posted in this channel',
+    examples: [
+      ['markets all', 'Every active market in the workspace'],
+      ['markets by:@user tag:launch closing:7 sort:volume', 'Filter and sort (`overdue`, `resolved`, `in:#channel`, or words to search)']
+    ],
+    run: async ({ command, respond, teamId }, args) => {
+      await respond({
+        response_type: 'ephemeral',
+        ...await browseMarkets(teamId, parseMarketFilters(args.filters || '', command.channel_id))
+      });
+    }
+  },
+  {
+    name: 'stats',
+    aliases: ['me'],
+    group: 'stats',
+    args: [],
+    description: 'View your performance',
+    run: async ({ command, respond, client, teamId }) => {
+      const user = await getUser(command.user_id, teamId);
+      const economy = await getEconomy(teamId);
+
+      // Money handed out rather than won
+      const grants = await getUserGrants(command.user_id, teamId);
+      const granted = [
+        grants.starting_balance && `$${grants.starting_balance.total} starting balance`,
+        grants.allowance && `$${grants.allowance.total} from ${grants.allowance.count} allowance${grants.allowance.count === 1 ? '' : 's'}`,
+        grants.bailout && `$${grants.bailout.total} bailout ${BAILOUT_FLAG}`
+      ].filter(Boolean);
+      const grantsLine = granted.length > 0 ? `\n🎁 Granted: ${granted.join(', ')}` : '';
+      const bailoutTip = user.bankroll === 0 && user.total_staked === 0 && !user.bailed_out_at && economy.bailout > 0
+        ? `\n\n${BAILOUT_FLAG} Out of money? \`/predict bailout\` gets you $${economy.bailout} once, flagged on the leaderboards`
+        : '';
+
+      // Bankroll chart goes to the user's DM; the sparkline stands in if that fails
+      let bankrollHistory = '';
+      const points = await getBankrollHistory(command.user_id, teamId);
+      if (points.length >= 2) {
+        const values = points.map(point => point.bankroll);
+        const low = Math.min(...values);
+        const high = Math.max(...values);
+        const yMin = Math.floor(low * 0.9 / 100) * 100;
+        const png = renderChart({
+          series: [{ points: points.map(point => ({ t: new Date(point.created_at).getTime(), value: point.bankroll })) }],
+          xEnd: Date.now(),
+          yMin,
+          yMax: Math.max(Math.ceil(high * 1.1 / 100) * 100, yMin + 100),
+          formatY: (value) => `$${Math.round(value)}`,
+          timeZone: await getUserTimezone(client, command.user_id)
+        });
+        const dm = await openDirectMessage(client, command.user_id);
+        const uploaded = dm && await uploadChart(client, dm, png, 'bankroll.png', '💰 *Your bankroll over time*');
+        bankrollHistory = uploaded
+          ? '\n\n📈 Bankroll chart sent to your DMs'
+          : `\n\n📈 \`${sparkline(values, 24, low, high)}\` $${values[0]} → $${values[values.length - 1]}`;
+      }
+
+      await respond({
+        response_type: 'ephemeral',
+        text: `📊 *Your Stats*\n\n💰 Bankroll: ${user.bankroll}\n📈 Staked: ${user.total_staked}\n💵 Available: ${user.bankroll - user.total_staked}\n\n🏆 Bets: ${user.bets_placed} | ✅ Won: ${user.bets_won}\n📊 Accuracy: ${(parseFloat(user.accuracy) * 100).toFixed(1)}%\n💰 Total Profit: ${user.total_profit}\n🔥 Current Streak: ${user.prediction_streak}\n⭐ Best Streak: ${user.best_streak}\n🎯 Markets Created: ${user.markets_created}${grantsLine}${bankrollHistory}${bailoutTip}`
+      });
+    }
+  },
+  {
+    name: 'bailout',
+    group: 'stats',
+    args: [],
+    description: 'Broke? A one-time top-up, flagged on the leaderboards',
+    run: async ({ command, respond, teamId }) => {
+      try {
+        const user = await takeBailout(command.user_id, teamId);
+        await respond({
+          response_type: 'ephemeral',
+          text: `${BAILOUT_FLAG} Bailout granted: your bankroll is back to $${user.bankroll}. It's once only, and the leaderboards will remember.`
+        });
+      } catch (error) {
+        await respond(`❌ ${error.message}`);
+      }
+    }
+  },
+  {
+    name: 'history',
+    group: 'stats',
+    args: [],
+    description: 'Every bankroll movement',
+    run: async ({ command, respond, teamId }) => {
+      const entries = await getLedgerEntries(command.user_id, teamId);
+
+      await respond({
+        response_type: 'ephemeral',
+        text: entries.length === 0
+          ? '🧾 No money has moved yet. Place a bet to get started!'
+          : `🧾 *Your Recent Transactions*\n\n${entries.map(entry => formatLedgerEntry(entry, teamId)).join('\n')}`
+      });
+    }
+  },
+  {
+    name: 'calibration',
+    group: 'stats',
+    args: [{ name: '@user', type: 'user', optional: true }],
+    description: 'How well forecasts match outcomes',
+    run: async ({ command, respond, teamId }, args) => {
+      const userId = args['@user'] || command.user_id;
+      const report = calculateCalibration(await getResolvedForecasts(userId, teamId));
+
+      await respond({
+        response_type: 'ephemeral',
+        text: report
+          ? formatCalibration(report, userId, userId === command.user_id)
+          : `📏 ${userId === command.user_id ? "You don't" : `<@${userId}> doesn't`} have any resolved forecasts yet.`
+      });
+    }
+  },
+  {
+    name: 'leaderboard',
+    aliases: ['leaderboards'],
+    group: 'leaderboard',
+    args: [
+      { name: 'type', type: 'choice', choices: Object.keys(LEADERBOARD_TYPES), aliases: LEADERBOARD_ALIASES, optional: true },
+      { name: 'name', type: 'word', prefix: 'season:', optional: true }
+    ],
+    description: 'View top performers, this season or in a past one',
+    examples: [['leaderboard profit season:2025-Q2', 'Final standings of a past season']],
+    run: async ({ respond, teamId }, args) => {
+      const type = args.type || 'accuracy';
+      let users, seasonLine;
+
+      if (args.name) {
+        const season = await getSeasonByName(teamId, args.name);
+        if (!season || !season.ended_at) {
+          await respond(`❌ No finished season called ${args.name}. \`/predict seasons\` lists them`);
+          return;
+        }
+        users = await getSeasonStandings(season.id, type);
+        seasonLine = `🗓️ Final standings of season *${season.name}*`;
+      } else {
+        users = await LEADERBOARD_TYPES[type](teamId);
+        seasonLine = formatSeasonStatus(await getCurrentSeason(teamId));
+      }
+
+      await respond({
+        response_type: 'ephemeral',
+        blocks: [
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text: formatLeaderboard(users, type)
+            }
+          },
+          {
+            type: "context",
+            elements: [
+              {
+                type: "mrkdwn",
+                text: `${seasonLine}\n💡 Try: \`/predict leaderboard accuracy|profit|volume|streak\`, or add \`season:<name>\` for a past season`
+              }
+            ]
+          }
+        ]
+      });
+    }
+  },
+  {
+    name: 'seasons',
+    group: 'leaderboard',
+    args: [{ name: '@user', type: 'user', optional: true }],
+    description: 'The current season and your standings in past ones',
+    run: async ({ command, respond, teamId }, args) => {
+      const userId = args['@user'] || command.user_id;
+      const history = await getUserSeasonHistory(teamId, userId);
+
+      const lines = history.map(season => {
+        const boards = Object.keys(LEADERBOARD_TYPES)
+          .filter(type => season.boards[type])
+          .map(type => `${LEADERBOARD_EMOJIS[type]} #${season.boards[type].rank} ${formatLeaderboardStat(season.boards[type].stats, type)}`);
+        return `• *${season.name}* (${formatSlackDate(season.started_at, false)} - ${formatSlackDate(season.ended_at, false)}): ${boards.join(' · ') || 'Sat this one out'}`;
+      });
+      const whose = userId === command.user_id ? 'Your' : `<@${userId}>'s`;
+
+      await respond({
+        response_type: 'ephemeral',
+        text: `${formatSeasonStatus(await getCurrentSeason(teamId))}\n\n${lines.length > 0 ? `*${whose} past seasons:*\n${lines.join('\n')}` : 'No seasons have finished yet.'}`
+      });
+    }
+  },
+  {
+    name: 'info',
+    group: 'info',
+    args: [{ name: 'market_id', type: 'market' }, { name: '@user', type: 'user', optional: true }],
+    description: 'Detailed market view with price history and chart',
+    examples: [['info market_123 @user', "Someone else's forecast revisions"]],
+    run: async ({ command, respond, client, teamId }, args) => {
+      const market = await getTeamMarket(args.market_id, teamId);
+      if (!market) {
+        await respond({
+          response_type: 'ephemeral',
+          text: '❌ Market not found'
+        });
+        return;
+      }
+
+      await respond({
+        response_type: 'ephemeral',
+        text: await buildMarketInfo(client, market, command.user_id, args['@user'] || command.user_id)
+      });
+    }
+  },
+  {
+    name: 'resolve',
+    group: 'admin',
+    admin: true,
+    args: [{ name: 'market_id', type: 'market' }, { name: 'yes|no|outcome|value|n/a', type: 'text' }],
+    description: 'Resolve markets and distribute payouts',
+    run: async ({ respond, teamId }, args) => {
+      const outcomeStr = args['yes|no|outcome|value|n/a'];
+      const answer = outcomeStr.toLowerCase();
+      const outcome = answer === 'yes';
+
+      const market = await getTeamMarket(args.market_id, teamId);
+      if (!market) {
+        await respond('❌ Market not found');
+        return;
+      }
+
+      if (market.resolved) {
+        await respond('❌ Market already resolved');
+        return;
+      }
+
+      // N/A resolution voids the market and refunds everyone
+      if (VOID_OUTCOMES.includes(answer)) {
+        const refunds = await voidMarket(market.id, 'Resolved as N/A');
+        await respond({
+          response_type: 'in_channel',
+          text: formatVoidAnnouncement(market, 'Resolved as N/A', refunds)
+        });
+        return;
+      }
+
+      // Yes/no markets only accept a real outcome so a typo can't resolve as NO
+      if (!hasOutcomeVector(market) && !['yes', 'no'].includes(answer)) {
+        await respond('❌ Resolve yes/no markets with `yes`, `no` or `n/a`');
+        return;
+      }
+
+      // Multiple-choice markets resolve to one of their outcomes, numeric markets to a value
+      // that picks the winning bucket
+      const categorical = hasOutcomeVector(market);
+      const scalar = isScalarMarket(market);
+      const resolvedValue = scalar ? parseScalarValue(outcomeStr, market.scalar_unit) : null;
+      if (scalar && isNaN(resolvedValue)) {
+        await respond(`❌ Resolve numeric markets with the actual value, e.g. \`${formatScalarValue(parseFloat(market.scalar_min), market.scalar_unit)}\``);
+        return;
+      }
+
+      const winningOutcome = scalar ? scalarBucketForValue(market, resolvedValue)
+        : categorical ? findOutcome(market, outcomeStr)
+        : null;
+      if (categorical && winningOutcome === -1) {
+        await respond(`❌ Unknown outcome. Pick one of: ${market.outcomes.map((label, i) => `${i + 1}. ${label}`).join(', ')}`);
+        return;
+      }
+
+      const { payoutSummary, makerSummary, lmsr } = await resolveMarket(market.id, { outcome, winningOutcome, resolvedValue });
+      scheduleMarketUpdate(market.id);
+
+      const resultLabel = scalar ? `${formatScalarValue(resolvedValue, market.scalar_unit)} (${market.outcomes[winningOutcome]})`
+        : categorical ? market.outcomes[winningOutcome]
+        : (outcome ? 'YES' : 'NO');
+
+      await respond({
+        response_type: 'in_channel',
+        text: `🏁 *Market Resolved!*\n\n*${market.question}*\n\n✅ **Result: ${resultLabel}**\n\n💰 **Payouts** (${lmsr ? '$1 per winning share' : `${getScoringRule(market.scoring_rule).name} scoring`}):\n${payoutSummary.join('\n') || 'No bets placed'}${makerSummary}`
+      });
+    }
+  },
+  {
+    name: 'cancel',
+    group: 'admin',
+    admin: true,
+    args: [{ name: 'market_id', type: 'market' }, { name: 'reason', type: 'text', optional: true }],
+    description: 'Void a market and refund every stake',
+    run: async ({ respond, teamId }, args) => {
+      const reason = args.reason || '';
+      const market = await getTeamMarket(args.market_id, teamId);
+      if (!market) {
+        await respond('❌ Market not found');
+        return;
+      }
+
+      if (market.resolved) {
+        await respond(`❌ Market already ${market.voided ? 'cancelled' : 'resolved'}`);
+        return;
+      }
+
+      const refunds = await voidMarket(market.id, reason);
+      scheduleMarketUpdate(market.id);
+
+      await respond({
+        response_type: 'in_channel',
+        text: formatVoidAnnouncement(market, reason, refunds)
+      });
+    }
+  },
+  {
+    name: 'adjust',
+    group: 'admin',
+    admin: true,
+    args: [{ name: '@user', type: 'user' }, { name: 'amount', type: 'amount' }, { name: 'reason', type: 'text', optional: true }],
+    description: 'Credit or debit a bankroll (negative amounts take money away)',
+    run: async ({ command, respond, teamId }, args) => {
+      const userId = args['@user'];
+      const amount = args.amount;
+
+      // Only this workspace's bankroll, if they play in others too
+      const user = await adjustBankroll(userId, teamId, amount, args.reason || '', command.user_id);
+
+      await respond({
+        response_type: 'ephemeral',
+        text: `✅ ${amount > 0 ? 'Credited' : 'Debited'} $${Math.abs(amount)} ${amount > 0 ? 'to' : 'from'} <@${userId}>. Bankroll: $${user.bankroll}`
+      });
+    }
+  },
+  {
+    name: 'economy',
+    group: 'admin',
+    admin: true,
+    args: [
+      { name: 'setting', type: 'choice', choices: Object.keys(ECONOMY_SETTINGS), optional: true },
+      { name: 'value', type: 'whole', optional: true }
+    ],
+    description: "Show or change this workspace's starting balance, allowance and bailout",
+    examples: [
+      ['economy allowance 50', 'Pay $50 each allowance (`0` turns allowances off)'],
+      ['economy every 7', 'Pay it every 7 days'],
+      ['economy cap 1000', 'Only while the bankroll is under $1000'],
+      ['economy bailout 0', 'Turn bailouts off']
+    ],
+    note: 'A new starting balance applies to new players, resets and season resets. Current bankrolls stay as they are',
+    run: async ({ respond, teamId }, args) => {
+      if (!args.setting) {
+        await respond({ response_type: 'ephemeral', text: `⚙️ *Economy*\n\n${formatEconomy(await getEconomy(teamId))}` });
+        return;
+      }
+      if (args.value === undefined) {
+        await respond(`❌ Give a value for \`${args.setting}\`, e.g. \`/predict economy ${args.setting} 50\``);
+        return;
+      }
+      if (args.value === 0 && ['starting', 'every'].includes(args.setting)) {
+        await respond(`❌ \`${args.setting}\` has to be at least 1`);
+        return;
+      }
+
+      const economy = await updateEconomy(teamId, ECONOMY_SETTINGS[args.setting], args.value);
+      await respond({ response_type: 'ephemeral', text: `✅ Economy updated\n\n${formatEconomy(economy)}` });
+    }
+  },
+  {
+    name: 'reconcile',
+    group: 'admin',
+    admin: true,
+    args: [],
+    description: 'Check cached balances against the ledger and open positions',
+    run: async ({ respond, teamId }) => {
+      const mismatches = await reconcileLedger(teamId);
+
+      const lines = mismatches.map(m => `• <@${m.id}>: bankroll $${m.bankroll} vs ledger $${m.ledger_bankroll}, staked $${m.total_staked} vs ledger $${m.ledger_staked} vs open positions $${m.open_staked}`);
+
+      await respond({
+        response_type: 'ephemeral',
+        text: mismatches.length === 0
+          ? '🧾 Every balance matches the ledger'
+          : `🧾 *${mismatches.length} balance${mismatches.length === 1 ? '' : 's'} out of line with the ledger:*\n\n${lines.join('\n')}`
+      });
+    }
+  },
+  {
+    name: 'resetstats',
+    group: 'admin',
+    admin: true,
+    args: [],
+    description: 'Reset your stats to starting values',
+    run: async ({ command, respond, teamId }) => {
+      await resetUser(command.user_id, teamId);
+
+      await respond({
+        response_type: 'ephemeral',
+        text: '✅ All stats reset to starting values! Fresh start for demo.'
+      });
+    }
+  },
+  {
+    name: 'fixstats',
+    group: 'admin',
+    admin: true,
+    args: [],
+    description: 'Manually fix leaderboard stats',
+    run: async ({ command, respond, teamId }) => {
+      // Manually update your stats to correct values
+      await pool.query(`
+        UPDATE users SET
+          total_profit = 41,
+          biggest_win = 100,
+          prediction_streak = 1,
+          best_streak = 1,
+          markets_created = 1
+        WHERE id = $1 AND team_id = $2
+      `, [command.user_id, teamId]);
+
+      await respond({
+        response_type: 'ephemeral',
+        text: '✅ Stats manually fixed! Try `/predict leaderboard profit` now.'
+      });
     }
-    
-    const market = await getMarket(market_id);
-    if (!market || !market.active) {
-        throw new Error("Market not found or inactive");
+  },
+  {
+    name: 'migrations',
+    group: 'admin',
+    admin: true,
+    args: [],
+    description: 'Show applied and pending schema migrations',
+    run: async ({ respond }) => {
+      const status = await getMigrationStatus();
+      const pending = status.filter(m => !m.applied_at).length;
+
+      const lines = status.map(m => m.applied_at
+        ? `✅ ${m.version}. ${m.name} - ${formatSlackDate(m.applied_at)}`
+        : `⏳ ${m.version}. ${m.name} - pending`);
+
+      await respond({
+        response_type: 'ephemeral',
+        text: `🗄️ *Schema Migrations*\n\n${lines.join('\n')}\n\n${pending === 0 ? '🎉 Up to date' : `⚠️ ${pending} pending - restart the bot to apply`}`
+      });
     }
-    
-    if (new Date() > new Date(market.deadline)) {
-        throw new Error("Market has expired");
+  },
+  {
+    name: 'apitoken',
+    group: 'admin',
+    admin: true,
+    args: [{ name: 'action', type: 'choice', choices: ['revoke'], optional: true }],
+    description: 'Issue (or revoke) tokens for the JSON API',
+    run: async ({ command, respond, teamId }, args) => {
+      if (args.action === 'revoke') {
+        const revoked = await revokeApiTokens(teamId);
+        await respond({
+          response_type: 'ephemeral',
+          text: `🔑 Revoked ${revoked} API ${revoked === 1 ? 'token' : 'tokens'}`
+        });
+        return;
+      }
+
+      const token = await createApiToken(teamId, command.user_id);
+      await respond({
+        response_type: 'ephemeral',
+        text: `🔑 *New API token* (shown once, keep it somewhere safe):\n\`${token}\`\n\nSend it as \`Authorization: Bearer <token>\` to \`/api/markets\`, \`/api/markets/<id>\`, \`/api/users/<id>\` or \`/api/leaderboard/<type>\`. \`/predict apitoken revoke\` revokes every token for this workspace.`
+      });
     }
-    
-    // Calculate actual stake
-    const stake = calculateStake(desired_amount);
-    
-    // Check user bankroll
-    const user = await getUser(user_id);
-    const old_bet = await getUserBet(market_id, user_id);
-    const available_bankroll = user.bankroll - user.total_staked + (old_bet ? old_bet.stake : 0);
-    
-    if (stake > available_bankroll) {
-        throw new Error(`Insufficient bankroll. Available: $${available_bankroll}`);
+  },
+  {
+    name: 'export',
+    group: 'admin',
+    admin: true,
+    args: [
+      { name: 'table', type: 'choice', choices: Object.keys(EXPORT_QUERIES), optional: true },
+      { name: 'format', type: 'choice', choices: ['csv', 'json'], optional: true },
+      { name: 'YYYY-MM-DD', type: 'date', prefix: 'since:', optional: true }
+    ],
+    description: 'Download a table to your DMs',
+    run: async ({ command, respond, client, teamId }, args) => {
+      const exportArgs = {
+        table: args.table || 'markets',
+        format: args.format || 'csv',
+        since: args['YYYY-MM-DD'] || new Date(0)
+      };
+
+      await respond({
+        response_type: 'ephemeral',
+        text: `⏳ Exporting ${exportArgs.table} as ${exportArgs.format.toUpperCase()}...`
+      });
+      try {
+        const count = await sendExport(client, command.user_id, teamId, exportArgs);
+        await respond({
+          response_type: 'ephemeral',
+          text: `📦 Sent ${count} ${exportArgs.table.slice(0, -1)}${count === 1 ? '' : 's'} to your DMs`
+        });
+      } catch (error) {
+        await respond(`❌ Export failed: ${error.data ? error.data.error : error.message}`);
+      }
     }
-    
-    // Get current state for probability calculation (excluding the bet being updated)
-    const all_bets = await getMarketBets(market_id);
-    const other_bets = all_bets.filter(bet => bet.user_id !== user_id);
-    const current_stakes = other_bets.map(bet => parseInt(bet.stake));
-    const current_probs = other_bets.map(bet => parseFloat(bet.probability));
-    
-    // Update market probability
-    const new_prob = updateMarketProbability(
-        current_stakes, 
-        current_probs, 
-        stake, 
-        probability,
-        0, // No old bet to remove since we filtered it out
-        0
-    );
-    
-    // Calculate new total stake
-    const old_stake = old_bet ? old_bet.stake : 0;
-    const new_total_stake = market.total_stake - old_stake + stake;
-    
-    // Update database in transaction
-    try {
-        await pool.query('BEGIN');
-        
-        // Update bet
-        await upsertBet(market_id, user_id, stake, probability);
-        
-        // Update market
-        await updateMarket(market_id, {
-            probability: new_prob,
-            total_stake: new_total_stake
+  },
+  {
+    name: 'season',
+    group: 'admin',
+    admin: true,
+    args: [
+      { name: 'action', type: 'choice', choices: ['start', 'end'] },
+      { name: 'rollover', type: 'choice', choices: SEASON_ROLLOVERS, optional: true },
+      { name: 'reset', type: 'choice', choices: ['reset'], optional: true },
+      { name: 'name', type: 'word', optional: true }
+    ],
+    description: 'Start a season (resetting stats), or end it: archive the standings, post a recap here and reset stats',
+    examples: [['season start quarterly reset', 'Roll over every quarter, resetting bankrolls each time']],
+    run: async ({ command, respond, teamId }, args) => {
+      if (args.action === 'start') {
+        const season = await startSeason(teamId, {
+          name: args.name,
+          rollover: args.rollover || null,
+          resetBankrolls: Boolean(args.reset),
+          channelId: command.channel_id,
+          startedBy: command.user_id
         });
-        
-        // Update user
-        const net_stake_change = stake - old_stake;
-        await updateUser(user_id, {
-            total_staked: user.total_staked + net_stake_change
+        await respond({
+          response_type: 'in_channel',
+          text: `🏁 *Season ${season.name} has started!* Everyone's stats are reset, so leaderboards count from here${season.reset_bankrolls ? ', and bankrolls reset when it ends' : ''}.\n${formatSeasonStatus(season)}`
         });
-        
-        await pool.query('COMMIT');
-        
-        return {
-            stake_placed: stake,
-            new_market_probability: new_prob,
-            was_capped: stake < desired_amount,
-            message: stake < desired_amount ? `Bet capped at $${stake} (max: $100)` : `Bet placed: $${stake}`,
-            user: await getUser(user_id),
-            market: await getMarket(market_id)
-        };
-        
-    } catch (error) {
-        await pool.query('ROLLBACK');
-        throw error;
+        return;
+      }
+
+      if (args.rollover || args.name) {
+        await respond('❌ Only `/predict season start` takes a rollover or a name');
+        return;
+      }
+
+      const current = await getCurrentSeason(teamId);
+      const finished = current && await finishSeason(current, { resetBankrolls: current.reset_bankrolls || Boolean(args.reset) });
+      if (!finished) {
+        await respond('❌ No season is running. Start one with `/predict season start`');
+        return;
+      }
+
+      await respond(finished.posted
+        ? { response_type: 'ephemeral', text: `✅ Season ${current.name} ended. Recap posted in <#${current.channel_id}>` }
+        : { response_type: 'in_channel', text: finished.recap });
+    }
+  }
+];
+
+function findPredictCommand(name) {
+  const lower = name.toLowerCase();
+  return PREDICT_COMMANDS.find(command => command.name === lower || (command.aliases || []).includes(lower));
+}
+
+// Help menu lines for one command: its usage, then any examples and note
+function formatCommandHelp(command) {
+  return [
+    `\`${formatCommandUsage(command)}\` - ${command.description}`,
+    ...(command.examples || []).map(([example, explanation]) => `\`/predict ${example}\`${explanation ? ` - ${explanation}` : ''}`),
+    ...(command.note ? [`_${command.note}_`] : [])
+  ];
+}
+
+// `/predict help <command>`
+function formatCommandDetails(command) {
+  const aliases = command.aliases ? `\nAlso: ${command.aliases.map(alias => `\`/predict ${alias}\``).join(', ')}` : '';
+  return `*\`${formatCommandUsage(command)}\`*\n${command.description}${aliases}\n\n${formatCommandHelp(command).slice(1).join('\n')}`.trim();
+}
+
+// Main /predict command. Input keeps its casing: only the command name is matched
+// case-insensitively, so questions, reasons and IDs arrive as typed.
+app.command('/predict', async ({ command, ack, respond, client }) => {
+  await ack();
+
+  const text = command.text.trim();
+  const teamId = command.team_id;
+  const isAdmin = await isWorkspaceAdmin(teamId, command.user_id);
+
+  const first = text.split(/\s+/)[0] || 'help';
+  let subcommand = findPredictCommand(first);
+  let input = text.slice(first.length);
+
+  // Shortcuts without a command word: `/predict market_123 75 50` bets, and
+  // `/predict Question? | deadline` or `/predict Question? - 65% chance` creates
+  if (!subcommand && ARG_TYPES.market.parse(first)) {
+    subcommand = findPredictCommand('bet');
+    input = text;
+  } else if (!subcommand && (text.includes('|') || /%\s+chance\s*$/i.test(text))) {
+    subcommand = findPredictCommand('create');
+    input = text;
+  }
+
+  if (!subcommand) {
+    await respond({
+      response_type: 'ephemeral',
+      text: `❌ Unknown command \`${first}\`. Try \`/predict help\` for available options.`
+    });
+    return;
+  }
+
+  if (subcommand.admin && !isAdmin) {
+    await respond({
+      response_type: 'ephemeral',
+      text: `❌ Only admins can use \`/predict ${subcommand.name}\``
+    });
+    return;
+  }
+
+  const { args, error } = parseCommandArgs(subcommand, input);
+  if (error) {
+    await respond({
+      response_type: 'ephemeral',
+      text: `❌ ${error}\nUsage: \`${formatCommandUsage(subcommand)}\` (\`/predict help ${subcommand.name}\` for examples)`
+    });
+    return;
+  }
+
+  try {
+    await subcommand.run({ command, respond, client, teamId, isAdmin }, args);
+  } catch (error) {
+    await respond(`❌ Error: ${error.message}`);
+  }
+});
+
+// Market browser paging. The filters ride along in the button, the workspace comes from the click.
+app.action(/^markets_page_/, async ({ action, ack, respond, body }) => {
+  await ack();
+  
+  try {
+    await respond({
+      replace_original: true,
+      ...await browseMarkets(body.team.id, JSON.parse(action.value))
+    });
+  } catch (error) {
+    await respond({ response_type: 'ephemeral', replace_original: false, text: `❌ Error: ${error.message}` });
+  }
+});
+
+// Yes/no markets open the bet form at the current price. The others have a button per
+// outcome (or none, for numeric markets), so their card is shown instead.
+app.action(/^browse_bet_/, async ({ action, ack, respond, body, client }) => {
+  await ack();
+  
+  const marketId = action.action_id.replace('browse_bet_', '');
+  try {
+    const market = await getTeamMarket(marketId, body.team.id);
+    if (market && !hasOutcomeVector(market)) {
+      await openBetModal(client, body.trigger_id, marketId, body.user.id, body.team.id, Math.round(parseFloat(market.probability) * 100) / 100, null, body.channel && body.channel.id);
+      return;
+    }
+    
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: market ? `🎯 ${market.question}` : '❌ Market not found',
+      blocks: market ? buildMarketCard(market, await getParticipantCount(marketId)) : undefined
+    });
+  } catch (error) {
+    await respond({ response_type: 'ephemeral', replace_original: false, text: `❌ ${error.message}` });
+  }
+});
+
+app.action(/^browse_info_/, async ({ action, ack, respond, body, client }) => {
+  await ack();
+  
+  const marketId = action.action_id.replace('browse_info_', '');
+  try {
+    const market = await getTeamMarket(marketId, body.team.id);
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: market ? await buildMarketInfo(client, market, body.user.id, body.user.id) : '❌ Market not found'
+    });
+  } catch (error) {
+    await respond({ response_type: 'ephemeral', replace_original: false, text: `❌ Error: ${error.message}` });
+  }
+});
+
+// Cash out button on market cards: sells whatever the clicker holds in that market
+app.action(/^cash_out_/, async ({ action, ack, respond, body }) => {
+  await ack();
+  
+  const marketId = action.action_id.replace('cash_out_', '');
+  try {
+    if (!await getTeamMarket(marketId, body.team.id)) {
+      throw new Error('Market not found or inactive');
+    }
+    const result = await sellPosition(marketId, body.user.id, 1);
+    scheduleMarketUpdate(marketId);
+    const marketLine = result.new_outcome_probabilities ? '' : `\n\n📊 Market: *${(result.new_market_probability * 100).toFixed(1)}%*`;
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: `✅ ${result.message}${marketLine}\n💰 Available: ${result.user.bankroll - result.user.total_staked}`
+    });
+  } catch (error) {
+    await respond({ response_type: 'ephemeral', replace_original: false, text: `❌ ${error.message}` });
+  }
+});
+
+// Bet form. It opens pre-filled with the user's current forecast and stake (the button's
+// probability and a default stake when they have none, otherwise the button's value is
+// only suggested) and previews the trade as the numbers change, so nothing is bet until
+// the user confirms.
+const QUICK_BET_STAKE = 25;
+
+// What a bet would do without placing it: the market's new probability and what the user
+// would have left available. Legacy markets replace the old bet, so its stake comes back.
+function previewBet(market, user, bets, probability, desired_amount, outcome = null) {
+  const stake = calculateStake(desired_amount);
+  const available = user.bankroll - user.total_staked;
+  
+  if (hasOutcomeVector(market)) {
+    const target = Math.min(Math.max(probability, LMSR_PRICE_BOUND), 1 - LMSR_PRICE_BOUND);
+    const quote = quoteCategoricalTrade(market, targetForOutcome(getOutcomePrices(market), outcome, target), stake);
+    return { stake, cost: quote.cost, shares: quote.shares[outcome], probability: quote.prices_after[outcome], available: available - quote.cost };
+  }
+  
+  if (isLmsrMarket(market)) {
+    const quote = quoteLmsrTrade(market, probability, stake);
+    return { stake, cost: quote.cost, shares: quote.shares, side: quote.side, probability: quote.new_market_probability, available: available - quote.cost };
+  }
+  
+  const old_bet = bets.find(bet => bet.user_id === user.id);
+  const others = bets.filter(bet => bet.user_id !== user.id);
+  const new_prob = updateMarketProbability(others.map(bet => parseInt(bet.stake)), others.map(bet => parseFloat(bet.probability)), stake, probability);
+  const old_stake = old_bet ? old_bet.stake : 0;
+  return { stake, cost: stake - old_stake, probability: new_prob, available: available + old_stake - stake };
+}
+
+function formatPosition(market, bet, outcome) {
+  if (!bet) return 'No position yet';
+  if (outcome !== null && bet.outcome_shares) {
+    return `${formatShares(bet.outcome_shares[outcome])} ${market.outcomes[outcome]} shares, $${bet.stake} in this market`;
+  }
+  if (bet.outcome_shares) {
+    const held = bet.outcome_shares
+      .map((shares, i) => parseFloat(shares) >= 0.05 ? `${formatShares(shares)} ${market.outcomes[i]}` : null)
+      .filter(Boolean)
+      .join(', ');
+    return `${held || 'No shares'} for $${bet.stake}`;
+  }
+  if (isLmsrMarket(market)) {
+    return `${formatShares(bet.shares_yes)} YES / ${formatShares(bet.shares_no)} NO shares for $${bet.stake} (last forecast ${(parseFloat(bet.probability) * 100).toFixed(1)}%)`;
+  }
+  return `$${bet.stake} on ${(parseFloat(bet.probability) * 100).toFixed(1)}% - betting again replaces it`;
+}
+
+function formatBetPreview(market, user, bets, probability, stake, outcome) {
+  if (isNaN(probability) || probability < 0.01 || probability > 0.99) {
+    return '⚠️ Enter a probability between 1 and 99';
+  }
+  if (isNaN(stake) || stake < 1) {
+    return '⚠️ Enter a stake of at least $1';
+  }
+  
+  const preview = previewBet(market, user, bets, probability, stake, outcome);
+  const label = outcome !== null ? market.outcomes[outcome] : 'Market';
+  const now = outcome !== null ? getOutcomePrices(market)[outcome] : parseFloat(market.probability);
+  const capped = preview.stake < stake ? ` (capped at $${preview.stake})` : '';
+  const trade = preview.shares !== undefined
+    ? preview.cost > 0
+      ? `Buys ${formatShares(preview.shares)} ${preview.side ? preview.side.toUpperCase() : market.outcomes[outcome]} shares for $${preview.cost}${capped}`
+      : `The market is already there, nothing to buy`
+    : `Stakes $${preview.stake}${capped}`;
+  const warning = preview.available < 0 ? `\n⚠️ That's more than your available $${user.bankroll - user.total_staked}` : '';
+  
+  return `*Preview*\n${trade}\n📊 ${label}: ${(now * 100).toFixed(1)}% → *${(preview.probability * 100).toFixed(1)}%*\n💵 Available after: $${preview.available}${warning}`;
+}
+
+async function buildBetView(marketId, userId, probability, stake, outcome, channelId, suggestion = null) {
+  const market = await getMarket(marketId);
+  const user = await getUser(userId, market.team_id);
+  const bets = await getMarketBets(marketId);
+  const bet = bets.find(b => b.user_id === userId);
+  const label = outcome !== null ? `Probability of ${market.outcomes[outcome]} (%)` : 'Your probability of YES (%)';
+  
+  // Typing in either field refreshes the preview
+  const liveInput = (blockId, text, initial, options) => ({
+    type: "input",
+    block_id: blockId,
+    dispatch_action: true,
+    label: { type: "plain_text", text: text.slice(0, 2000) },
+    element: {
+      type: "number_input",
+      action_id: "bet_form_input",
+      initial_value: isNaN(initial) ? undefined : String(initial),
+      dispatch_action_config: { trigger_actions_on: ["on_character_entered"] },
+      ...options
     }
+  });
+  
+  return {
+    type: "modal",
+    callback_id: "place_bet",
+    private_metadata: JSON.stringify({ marketId, outcome, channelId, suggestion }),
+    title: { type: "plain_text", text: "Place a Bet" },
+    submit: { type: "plain_text", text: "Confirm Bet" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks: [
+      { type: "section", text: { type: "mrkdwn", text: `*${market.question}*` } },
+      { type: "context", elements: [{ type: "mrkdwn", text: `🎯 Your position: ${formatPosition(market, bet, outcome)}${suggestion !== null ? `\n💡 Suggested: ${suggestion}%` : ''}` }] },
+      liveInput("bet_probability", label, probability, { is_decimal_allowed: true, min_value: "1", max_value: "99" }),
+      liveInput("bet_stake", "Stake ($)", stake, { is_decimal_allowed: false, min_value: "1", max_value: "100" }),
+      { type: "section", block_id: "bet_preview", text: { type: "mrkdwn", text: formatBetPreview(market, user, bets, probability / 100, stake, outcome) } }
+    ]
+  };
+}
+
+function readBetForm(view) {
+  const values = view.state.values;
+  return {
+    ...JSON.parse(view.private_metadata),
+    probability: parseFloat(values.bet_probability.bet_form_input.value),
+    stake: parseInt(values.bet_stake.bet_form_input.value)
+  };
+}
+
+async function openBetModal(client, triggerId, marketId, userId, teamId, probability, outcome, channelId) {
+  const market = await getTeamMarket(marketId, teamId);
+  if (!market || !market.active || market.resolved) {
+    throw new Error('Market not found or inactive');
+  }
+  if (market.closed || new Date() > new Date(market.deadline)) {
+    throw new Error('Market has expired');
+  }
+  
+  // Start from the user's own forecast and stake so confirming as-is doesn't change their
+  // mind for them; the probability passed in is then only a suggestion
+  const bet = await getUserBet(marketId, userId);
+  const forecast = !bet ? null : outcome !== null ? (bet.probabilities ? bet.probabilities[outcome] : null) : bet.probability;
+  const suggested = Math.round(probability * 100);
+  const start = forecast !== null && forecast !== undefined ? Math.round(parseFloat(forecast) * 100) : suggested;
+  const stake = bet && bet.stake > 0 ? calculateStake(bet.stake) : QUICK_BET_STAKE;
+  
+  await client.views.open({
+    trigger_id: triggerId,
+    view: await buildBetView(marketId, userId, start, stake, outcome, channelId, start !== suggested ? suggested : null)
+  });
+}
+
+// Quick bet buttons
+app.action(/^bet_quick_/, async ({ action, ack, respond, body, client }) => {
+  await ack();
+  
+  const parts = action.action_id.split('_');
+  const marketId = parts.slice(2, -1).join('_');
+  const probability = parseFloat(parts[parts.length - 1]);
+  
+  try {
+    await openBetModal(client, body.trigger_id, marketId, body.user.id, body.team.id, probability, null, body.channel && body.channel.id);
+  } catch (error) {
+    await respond({
+      response_type: 'ephemeral',
+      text: `❌ ${error.message}`
+    });
+  }
+});
+
+// Suggested forecast for a bet on one outcome of a multiple-choice market: a bit above
+// its current price
+async function outcomeBetStart(marketId, outcome) {
+  const market = await getMarket(marketId);
+  return market ? Math.min(getOutcomePrices(market)[outcome] + 0.2, 0.95) : 0.5;
+}
+
+// Quick bet buttons on multiple-choice markets
+app.action(/^bet_outcome_/, async ({ action, ack, respond, body, client }) => {
+  await ack();
+  
+  const parts = action.action_id.split('_');
+  const marketId = parts.slice(2, -1).join('_');
+  const outcome = parseInt(parts[parts.length - 1]);
+  
+  try {
+    const probability = await outcomeBetStart(marketId, outcome);
+    await openBetModal(client, body.trigger_id, marketId, body.user.id, body.team.id, probability, outcome, body.channel && body.channel.id);
+  } catch (error) {
+    await respond({
+      response_type: 'ephemeral',
+      text: `❌ ${error.message}`
+    });
+  }
+});
+
+app.action('bet_form_input', async ({ ack, body, client }) => {
+  await ack();
+  
+  const form = readBetForm(body.view);
+  try {
+    await client.views.update({
+      view_id: body.view.id,
+      hash: body.view.hash,
+      view: await buildBetView(form.marketId, body.user.id, form.probability, form.stake, form.outcome, form.channelId, form.suggestion)
+    });
+  } catch (error) {
+    // A newer keystroke already updated the view (hash_conflict), nothing to do
+    console.error('Error refreshing bet preview:', error.data ? error.data.error : error.message);
+  }
+});
+
+// Bets are placed before the ack so a rejected bet shows up on the form
+app.view('place_bet', async ({ ack, body, view, client }) => {
+  const userId = body.user.id;
+  const form = readBetForm(view);
+  
+  if (isNaN(form.probability) || form.probability < 1 || form.probability > 99) {
+    await ack({ response_action: 'errors', errors: { bet_probability: 'Enter a probability between 1 and 99' } });
+    return;
+  }
+  if (isNaN(form.stake) || form.stake < 1) {
+    await ack({ response_action: 'errors', errors: { bet_stake: 'Enter a stake of at least $1' } });
+    return;
+  }
+  
+  let result;
+  try {
+    result = await placeBet(form.marketId, userId, form.stake, form.probability / 100, form.outcome);
+    scheduleMarketUpdate(form.marketId);
+  } catch (error) {
+    const field = /probability|already at/i.test(error.message) ? 'bet_probability' : 'bet_stake';
+    await ack({ response_action: 'errors', errors: { [field]: error.message.replace(/`/g, '') } });
+    return;
+  }
+  
+  await ack();
+  
+  if (!form.channelId) return;
+  const marketLine = result.new_outcome_probabilities ? '' : `\n\n📊 Market: *${(result.new_market_probability * 100).toFixed(1)}%*`;
+  await client.chat.postEphemeral({
+    channel: form.channelId,
+    user: userId,
+    text: `✅ ${result.message}${marketLine}\n💰 Available: ${result.user.bankroll - result.user.total_staked}`
+  }).catch(error => console.error('Error confirming bet:', error.data ? error.data.error : error.message));
+});
+
+// Market creation form. Opened by a bare `/predict create` or the "Create a market"
+// global shortcut (callback id `create_market`). Changing the market type redraws the
+// form with that type's fields; Slack keeps whatever was already typed.
+const MARKET_TYPE_LABELS = {
+  binary: 'Yes / No',
+  categorical: 'Multiple choice',
+  scalar: 'Number or date range'
+};
+
+function marketTypeOption(type) {
+  return { text: { type: "plain_text", text: MARKET_TYPE_LABELS[type] }, value: type };
 }
 
-// Show help menu (different for admin vs regular users)
-function getHelpMenu(isAdmin = false) {
-  const adminSection = isAdmin ? {
-    type: "section",
-    text: {
-      type: "mrkdwn",
-      text: "*🔧 Admin Commands:*\n`/predict resolve market_123 yes|no` - Resolve markets and distribute payouts\n`/predict resetstats` - Reset your stats to starting values\n`/predict fixstats` - Manually fix leaderboard stats"
-    }
-  } : null;
+function optionalTextInput(blockId, label, placeholder, multiline = false) {
+  return {
+    type: "input",
+    block_id: blockId,
+    optional: true,
+    label: { type: "plain_text", text: label },
+    element: { type: "plain_text_input", action_id: "value", multiline, placeholder: { type: "plain_text", text: placeholder } }
+  };
+}
 
+// `channelId` is where the market gets announced; from the shortcut there isn't one yet, so the form asks
+function buildCreateMarketView(marketType, channelId) {
+  const weekAhead = new Date(Date.now() + 7 * DAY_MS).toISOString().split('T')[0];
+  
+  const typeFields = {
+    binary: [{
+      type: "input",
+      block_id: "probability",
+      optional: true,
+      label: { type: "plain_text", text: "Initial probability (%)" },
+      hint: { type: "plain_text", text: "Where the market maker opens. Leave at 50 if you have no idea." },
+      element: { type: "number_input", action_id: "value", is_decimal_allowed: false, min_value: "1", max_value: "99", initial_value: "50" }
+    }],
+    categorical: [{
+      type: "input",
+      block_id: "outcomes",
+      label: { type: "plain_text", text: "Outcomes" },
+      hint: { type: "plain_text", text: `One per line, 2-${MAX_OUTCOMES} outcomes` },
+      element: { type: "plain_text_input", action_id: "value", multiline: true, placeholder: { type: "plain_text", text: "Acme\nGlobex\nInitech" } }
+    }],
+    scalar: [
+      {
+        type: "input",
+        block_id: "range",
+        label: { type: "plain_text", text: "Range" },
+        element: { type: "plain_text_input", action_id: "value", placeholder: { type: "plain_text", text: "0..500 or 2025-07-01..2025-07-31" } }
+      },
+      {
+        type: "input",
+        block_id: "buckets",
+        optional: true,
+        label: { type: "plain_text", text: "Buckets" },
+        element: { type: "number_input", action_id: "value", is_decimal_allowed: false, min_value: "2", max_value: String(MAX_SCALAR_BUCKETS), placeholder: { type: "plain_text", text: String(DEFAULT_SCALAR_BUCKETS) } }
+      }
+    ]
+  };
+  
   const blocks = [
     {
-      type: "section",
-      text: {
-        type: "mrkdwn",
-        text: "🎯 *Prediction Market Bot Help*\n\nCreate binary prediction markets and bet on outcomes with your team!"
+      type: "input",
+      block_id: "question",
+      label: { type: "plain_text", text: "Question" },
+      element: { type: "plain_text_input", action_id: "value", max_length: 300, placeholder: { type: "plain_text", text: "Will we ship Feature X by Friday?" } }
+    },
+    {
+      type: "input",
+      block_id: "market_type",
+      dispatch_action: true,
+      label: { type: "plain_text", text: "Market type" },
+      element: {
+        type: "static_select",
+        action_id: "market_type",
+        initial_option: marketTypeOption(marketType),
+        options: MARKET_TYPES.map(marketTypeOption)
       }
     },
+    ...typeFields[marketType],
     {
-      type: "divider"
+      type: "input",
+      block_id: "deadline_date",
+      label: { type: "plain_text", text: "Betting closes on" },
+      element: { type: "datepicker", action_id: "value", initial_date: weekAhead }
     },
     {
-      type: "section",
-      text: {
-        type: "mrkdwn",
-        text: "*📝 Create Markets:*\n`/predict create Will we ship Feature X by Friday? | 2025-06-20`\n\n*💰 Place Bets:*\n`/predict bet market_123 75 50` (75% probability, $50 stake)\n\n*📊 View Markets:*\n`/predict markets` - List all active markets\n\n*📈 Your Stats:*\n`/predict stats` - View your performance\n\n*🏆 Leaderboards:*\n`/predict leaderboard` - View top performers\n\n*ℹ️ Market Info:*\n`/predict info market_123` - Detailed market view"
-      }
+      type: "input",
+      block_id: "deadline_time",
+      label: { type: "plain_text", text: "At" },
+      element: { type: "timepicker", action_id: "value", initial_time: "17:00" }
+    },
+    optionalTextInput("description", "Description", "Any background bettors should know", true),
+    optionalTextInput("resolution_criteria", "Resolution criteria", "Exactly what counts as YES, and who decides", true),
+    {
+      type: "input",
+      block_id: "liquidity",
+      optional: true,
+      label: { type: "plain_text", text: "Liquidity (b)" },
+      hint: { type: "plain_text", text: `Higher means prices move less per bet. You lock the market maker's worst-case loss, at most $${MAX_SUBSIDY}.` },
+      element: { type: "number_input", action_id: "value", is_decimal_allowed: true, min_value: "1" }
     }
   ];
-
-  if (adminSection) {
+  
+  if (!channelId) {
     blocks.push({
-      type: "divider"
+      type: "input",
+      block_id: "channel",
+      label: { type: "plain_text", text: "Announce in" },
+      element: { type: "conversations_select", action_id: "value", default_to_current_conversation: true, filter: { include: ["public", "private"], exclude_bot_users: true } }
     });
-    blocks.push(adminSection);
   }
-
-  blocks.push(
-    {
-      type: "section",
-      text: {
-        type: "mrkdwn",
-        text: "*🎮 Quick Tips:*\n• Everyone starts with $1000\n• Bet range: $1-$100\n• Probability: 0-100 (e.g., 75 = 75%)\n• Bigger bets = more market influence\n• Build streaks for leaderboard glory!"
-      }
-    },
-    {
-      type: "divider"
-    },
-    {
-      type: "context",
-      elements: [
-        {
-          type: "mrkdwn",
-          text: "💡 *Pro tip:* Use quick bet buttons on markets for instant betting!"
-        }
-      ]
-    }
-  );
-
+  
   return {
-    response_type: 'ephemeral',
-    blocks: blocks
+    type: "modal",
+    callback_id: "create_market",
+    private_metadata: JSON.stringify({ channelId }),
+    title: { type: "plain_text", text: "New Market" },
+    submit: { type: "plain_text", text: "Create" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks
   };
 }
 
-// Format leaderboard display
-function formatLeaderboard(users, type, userRank = null) {
-  if (users.length === 0) {
-    return "No data available yet. Start predicting to see leaderboards!";
-  }
-
-  const medals = ['🥇', '🥈', '🥉'];
-  const typeEmojis = {
-    accuracy: '🎯',
-    profit: '💰', 
-    volume: '📊',
-    streak: '🔥'
-  };
-
-  let leaderboardText = `${typeEmojis[type]} *${type.charAt(0).toUpperCase() + type.slice(1)} Leaderboard*\n\n`;
-  
-  users.forEach((user, index) => {
-    const medal = index < 3 ? medals[index] : `${index + 1}.`;
-    const userId = user.id;
-    
-    let stats = '';
-    switch(type) {
-      case 'accuracy':
-        stats = `${(parseFloat(user.accuracy) * 100).toFixed(1)}% (${user.bets_won}/${user.bets_placed})`;
-        break;
-      case 'profit':
-        stats = `$${user.total_profit} profit (Bankroll: $${user.bankroll})`;
-        break;
-      case 'volume':
-        stats = `${user.bets_placed} bets, ${user.markets_created} markets`;
-        break;
-      case 'streak':
-        stats = `${user.best_streak} best streak (Current: ${user.prediction_streak})`;
-        break;
-    }
-    
-    leaderboardText += `${medal} <@${userId}> - ${stats}\n`;
+async function openCreateMarketModal(client, triggerId, channelId) {
+  await client.views.open({
+    trigger_id: triggerId,
+    view: buildCreateMarketView('binary', channelId)
   });
-
-  if (userRank && userRank > 10) {
-    leaderboardText += `\n📍 Your rank: #${userRank}`;
-  }
-
-  return leaderboardText;
 }
 
-// Parse market creation from natural language
-function parseMarketCreation(text) {
-  let cleanText = text.replace(/^create\s+/i, '');
-  
-  if (cleanText.includes('|')) {
-    const [question, dateStr] = cleanText.split('|').map(s => s.trim());
-    return { question, deadline: dateStr };
-  } else if (cleanText.includes(' - ') && cleanText.includes('% chance')) {
-    const question = cleanText.split(' - ')[0].trim();
-    const deadline = new Date();
-    deadline.setDate(deadline.getDate() + 7);
-    return { question, deadline: deadline.toISOString().split('T')[0] };
+// The user's Slack timezone (e.g. "America/New_York"), so the deadlines they type or pick
+// mean their local time. Falls back to UTC.
+async function getUserTimezone(client, userId) {
+  try {
+    const result = await client.users.info({ user: userId });
+    return result.user.tz && isValidTimeZone(result.user.tz) ? result.user.tz : 'UTC';
+  } catch (error) {
+    console.error('Error getting user timezone:', error.data ? error.data.error : error.message);
+    return 'UTC';
   }
-  
-  return null;
 }
 
-// Parse betting from natural language
-function parseBetting(text) {
-  const parts = text.split(' ');
-  if (parts.length < 3) return null;
-  
-  let marketId, probability, stake;
-  
-  if (parts[0] === 'bet') {
-    [, marketId, probability, stake] = parts;
-  } else {
-    [marketId, probability, stake] = parts;
-  }
-  
-  if (typeof probability === 'string') {
-    probability = probability.replace('%', '');
-    if (probability === 'likely') probability = '75';
-    if (probability === 'unlikely') probability = '25';
-    if (probability === 'certain') probability = '95';
-    if (probability === 'impossible') probability = '5';
-  }
-  
-  const prob = parseFloat(probability);
-  const amount = parseInt(stake?.replace('$', '') || stake);
-  
-  if (isNaN(prob) || isNaN(amount)) return null;
+// Form values as prepareMarket() input. Blocks the current market type doesn't show are absent.
+function readCreateMarketForm(values) {
+  const field = (blockId) => values[blockId] ? values[blockId].value : null;
+  const text = (blockId) => field(blockId) && field(blockId).value ? field(blockId).value.trim() : null;
+  const rangeMatch = (text('range') || '').match(/^(\S+)\s*\.\.\s*(\S+)$/);
   
   return {
-    marketId,
-    probability: prob > 1 ? prob / 100 : prob,
-    stake: amount
+    question: text('question'),
+    marketType: values.market_type.market_type.selected_option.value,
+    date: field('deadline_date').selected_date,
+    time: field('deadline_time').selected_time,
+    probability: text('probability') ? parseFloat(text('probability')) / 100 : null,
+    outcomes: text('outcomes') ? text('outcomes').split(/\n|,/) : null,
+    range: rangeMatch ? { min: rangeMatch[1], max: rangeMatch[2] } : null,
+    buckets: text('buckets') ? parseInt(text('buckets')) : null,
+    liquidity: text('liquidity') ? parseFloat(text('liquidity')) : null,
+    description: text('description'),
+    resolutionCriteria: text('resolution_criteria'),
+    channelId: field('channel') ? field('channel').selected_conversation : null
   };
 }
 
-// Main /predict command with subcommands
-app.command('/predict', async ({ command, ack, respond }) => {
+app.shortcut('create_market', async ({ shortcut, ack, client }) => {
   await ack();
   
-  const text = command.text.trim().toLowerCase();
-  const isAdmin = command.user_id === ADMIN_USER_ID;
-  
-  // Help menu
-  if (!text || text === 'help') {
-    await respond(getHelpMenu(isAdmin));
-    return;
-  }
-  
-  // Leaderboards
-  if (text.startsWith('leaderboard') || text.startsWith('leaderboards')) {
-    const args = text.split(' ');
-    const type = args[1] || 'accuracy'; // Default to accuracy
-    
-    try {
-      let users, leaderboardText;
-      
-      switch(type) {
-        case 'profit':
-        case 'money':
-          users = await getLeaderboardByProfit();
-          leaderboardText = formatLeaderboard(users, 'profit');
-          break;
-        case 'volume':
-        case 'activity':
-          users = await getLeaderboardByVolume();
-          leaderboardText = formatLeaderboard(users, 'volume');
-          break;
-        case 'streak':
-        case 'streaks':
-          users = await getLeaderboardByStreak();
-          leaderboardText = formatLeaderboard(users, 'streak');
-          break;
-        default:
-          users = await getLeaderboardByAccuracy();
-          leaderboardText = formatLeaderboard(users, 'accuracy');
-      }
-      
-      await respond({
-        response_type: 'ephemeral',
-        blocks: [
-          {
-            type: "section",
-            text: {
-              type: "mrkdwn",
-              text: leaderboardText
-            }
-          },
-          {
-            type: "context",
-            elements: [
-              {
-                type: "mrkdwn",
-                text: "💡 Try: `/predict leaderboard accuracy|profit|volume|streak`"
-              }
-            ]
-          }
-        ]
-      });
-    } catch (error) {
-      await respond(`❌ Error: ${error.message}`);
-    }
-    return;
-  }
-  
-  // Admin reset stats command
-  if (text.startsWith('resetstats') && isAdmin) {
-    try {
-      const userId = command.user_id;
-      
-      // Reset all stats to starting values
-      await pool.query(`
-        UPDATE users SET 
-          bankroll = 1000,
-          total_staked = 0,
-          bets_placed = 0,
-          bets_won = 0,
-          accuracy = 0.5,
-          total_profit = 0,
-          biggest_win = 0,
-          prediction_streak = 0,
-          best_streak = 0,
-          markets_created = 0
-        WHERE id = $1
-      `, [userId]);
-      
-      await respond({
-        response_type: 'ephemeral',
-        text: '✅ All stats reset to starting values! Fresh start for demo.'
-      });
-    } catch (error) {
-      await respond(`❌ Error resetting stats: ${error.message}`);
-    }
-    return;
-  }
-  
-  // Admin fix stats command (temporary)
-  if (text.startsWith('fixstats') && isAdmin) {
-    try {
-      const userId = command.user_id;
-      
-      // Manually update your stats to correct values
-      await pool.query(`
-        UPDATE users SET 
-          total_profit = 41,
-          biggest_win = 100,
-          prediction_streak = 1,
-          best_streak = 1,
-          markets_created = 1
-        WHERE id = $1
-      `, [userId]);
-      
-      await respond({
-        response_type: 'ephemeral',
-        text: '✅ Stats manually fixed! Try `/predict leaderboard profit` now.'
-      });
-    } catch (error) {
-      await respond(`❌ Error fixing stats: ${error.message}`);
-    }
-    return;
-  }
-  
-  // Resolve market (admin only) - CHECK FIRST!
-  if (text.startsWith('resolve ')) {
-    if (!isAdmin) {
-      await respond({
-        response_type: 'ephemeral',
-        text: '❌ Only admins can resolve markets'
-      });
-      return;
-    }
-    
-    const args = text.replace('resolve ', '').split(' ');
-    if (args.length < 2) {
-      await respond({
-        response_type: 'ephemeral',
-        text: '❌ Usage: `/predict resolve market_id yes|no`'
-      });
-      return;
-    }
-    
-    const [marketId, outcomeStr] = args;
-    const outcome = outcomeStr.toLowerCase() === 'yes';
-    
-    try {
-      const market = await getMarket(marketId);
-      if (!market) {
-        await respond('❌ Market not found');
-        return;
-      }
-      
-      if (market.resolved) {
-        await respond('❌ Market already resolved');
-        return;
-      }
-      
-      // Get all bets for payout calculation
-      const bets = await getMarketBets(marketId);
-      
-      if (bets.length === 0) {
-        await respond('❌ No bets placed on this market');
-        return;
-      }
-      
-      // Calculate payouts and update leaderboard stats
-      const payoutPromises = bets.map(async (bet) => {
-        const user = await getUser(bet.user_id);
-        const accuracy = outcome ? parseFloat(bet.probability) : (1 - parseFloat(bet.probability));
-        const payout = Math.floor(bet.stake * (1 + accuracy));
-        const profit = payout - bet.stake;
-        
-        // Determine if prediction was correct
-        const wasCorrect = (outcome && parseFloat(bet.probability) > 0.5) || (!outcome && parseFloat(bet.probability) < 0.5);
-        const newBetsWon = user.bets_won + (wasCorrect ? 1 : 0);
-        const newBetsPlaced = user.bets_placed + 1;
-        const newAccuracy = newBetsPlaced > 0 ? newBetsWon / newBetsPlaced : 0.5;
-        
-        // Update streak
-        const newStreak = wasCorrect ? user.prediction_streak + 1 : 0;
-        const newBestStreak = Math.max(user.best_streak || 0, newStreak);
-        
-        // Track biggest win
-        const newBiggestWin = Math.max(user.biggest_win || 0, payout);
-        
-        await updateUser(bet.user_id, {
-          bankroll: user.bankroll + payout,
-          total_staked: user.total_staked - bet.stake,
-          bets_placed: newBetsPlaced,
-          bets_won: newBetsWon,
-          accuracy: newAccuracy,
-          ...(user.total_profit !== undefined && {
-            total_profit: (user.total_profit || 0) + profit,
-            biggest_win: Math.max(user.biggest_win || 0, payout),
-            prediction_streak: newStreak,
-            best_streak: newBestStreak
-          })
-        });
-        
-        return `<@${bet.user_id}>: $${payout} (${(accuracy * 100).toFixed(1)}% accuracy)`;
-      });
-      
-      const payoutSummary = await Promise.all(payoutPromises);
-      
-      // Resolve market
-      await updateMarket(marketId, {
-        resolved: true,
-        resolution: outcome,
-        resolved_at: new Date()
-      });
-      
-      await respond({
-        response_type: 'in_channel',
-        text: `🏁 *Market Resolved!*\n\n*${market.question}*\n\n✅ **Result: ${outcome ? 'YES' : 'NO'}**\n\n💰 **Payouts:**\n${payoutSummary.join('\n')}`
-      });
-    } catch (error) {
-      await respond(`❌ Error: ${error.message}`);
-    }
-    return;
+  try {
+    await openCreateMarketModal(client, shortcut.trigger_id, null);
+  } catch (error) {
+    console.error('Error opening market form:', error);
   }
+});
+
+app.action('market_type', async ({ ack, body, client }) => {
+  await ack();
   
-  // Create market
-  if (text.includes('create') || text.includes('|') || text.includes('% chance')) {
-    const parsed = parseMarketCreation(command.text);
-    
-    if (!parsed) {
-      await respond({
-        response_type: 'ephemeral',
-        text: "❌ Invalid format. Try:\n`/predict create Will we ship X? | 2025-06-20`\nor\n`/predict Will we ship X? - 50% chance`"
-      });
-      return;
-    }
-    
-    const marketId = `market_${Date.now()}`;
-    
-    try {
-      const deadline = new Date(parsed.deadline);
-      if (deadline < new Date()) {
-        await respond('❌ Deadline must be in the future');
-        return;
-      }
-      
-      const marketData = {
-        id: marketId,
-        question: parsed.question,
-        creator: command.user_id,
-        deadline: deadline,
-        probability: 0.5,
-        totalStake: 0,
-        active: true
-      };
-      
-      await createMarket(marketData);
-      
-      await respond({
-        response_type: 'in_channel',
-        blocks: [
-          {
-            type: "section",
-            text: {
-              type: "mrkdwn",
-              text: `🎯 *New Market Created!*\n\n*${parsed.question}*\n\n📊 Probability: *50.0%* | 💰 Staked: $0\n⏰ ${deadline.toLocaleDateString()} | 🆔 \`${marketId}\``
-            }
-          },
-          {
-            type: "actions",
-            elements: [
-              {
-                type: "button",
-                text: { type: "plain_text", text: "Very Likely (80%)" },
-                action_id: `bet_quick_${marketId}_0.8`,
-                style: "primary"
-              },
-              {
-                type: "button",
-                text: { type: "plain_text", text: "Likely (65%)" },
-                action_id: `bet_quick_${marketId}_0.65`
-              },
-              {
-                type: "button",
-                text: { type: "plain_text", text: "Unlikely (35%)" },
-                action_id: `bet_quick_${marketId}_0.35`
-              },
-              {
-                type: "button",
-                text: { type: "plain_text", text: "Very Unlikely (20%)" },
-                action_id: `bet_quick_${marketId}_0.2`,
-                style: "danger"
-              }
-            ]
-          },
-          {
-            type: "context",
-            elements: [
-              {
-                type: "mrkdwn",
-                text: `💡 Or use: \`/predict bet ${marketId} 75 50\` (75% prob, $50 stake)`
-              }
-            ]
-          }
-        ]
-      });
-      
-    } catch (error) {
-      await respond(`❌ Error: ${error.message}`);
-    }
-    return;
+  const { channelId } = JSON.parse(body.view.private_metadata);
+  try {
+    await client.views.update({
+      view_id: body.view.id,
+      hash: body.view.hash,
+      view: buildCreateMarketView(body.actions[0].selected_option.value, channelId)
+    });
+  } catch (error) {
+    console.error('Error switching market type:', error);
   }
+});
+
+// Validation happens before the ack so problems show next to their fields
+app.view('create_market', async ({ ack, body, view, client }) => {
+  const userId = body.user.id;
+  const form = readCreateMarketForm(view.state.values);
+  const channelId = JSON.parse(view.private_metadata).channelId || form.channelId;
   
-  // Place bet
-  if (text.includes('bet') || text.match(/market_\d+/)) {
-    const parsed = parseBetting(command.text);
+  let market;
+  try {
+    // Picked date and time are in the user's timezone
+    const [year, month, day] = form.date.split('-').map(Number);
+    const [hour, minute] = form.time.split(':').map(Number);
+    const deadline = zonedTimeToUtc({ year, month, day, hour, minute }, await getUserTimezone(client, userId));
     
-    if (!parsed) {
-      await respond({
-        response_type: 'ephemeral',
-        text: "❌ Invalid format. Try:\n`/predict bet market_123 75 50` (75% probability, $50 stake)"
-      });
+    const prepared = await prepareMarket({ ...form, deadline }, userId, body.team.id);
+    if (prepared.errors) {
+      const fieldErrors = {};
+      for (const [field, message] of Object.entries(prepared.errors)) {
+        fieldErrors[field === 'deadline' ? 'deadline_date' : field] = message.replace(/`/g, '');
+      }
+      await ack({ response_action: 'errors', errors: fieldErrors });
       return;
     }
-    
-    try {
-      const result = await placeBet(parsed.marketId, command.user_id, parsed.stake, parsed.probability);
-      
-      await respond({
-        response_type: 'ephemeral',
-        text: `✅ ${result.message}\n\n📊 Market: *${(result.new_market_probability * 100).toFixed(1)}%*\n💰 Available: ${result.user.bankroll - result.user.total_staked}`
-      });
-      
-    } catch (error) {
-      await respond(`❌ ${error.message}`);
-    }
+    market = prepared.market;
+  } catch (error) {
+    console.error('Error validating market form:', error);
+    await ack({ response_action: 'errors', errors: { question: `Something went wrong: ${error.message}` } });
     return;
   }
   
-  // List markets
-  if (text === 'markets' || text === 'list') {
-    try {
-      const activeMarkets = await getActiveMarkets();
-      
-      if (activeMarkets.length === 0) {
-        await respond({
-          response_type: 'ephemeral',
-          text: '📝 No active markets. Create one with:\n`/predict create Your question? | 2025-06-20`'
-        });
-        return;
-      }
-      
-      const marketList = activeMarkets.slice(0, 5).map(market => {
-        return `🎯 *${market.question}*\n📊 ${(parseFloat(market.probability) * 100).toFixed(1)}% | ${market.total_stake} staked\n🆔 \`${market.id}\``;
-      }).join('\n\n');
-      
-      await respond({
-        response_type: 'ephemeral',
-        text: `📊 *Active Markets*\n\n${marketList}\n\n💡 Use \`/predict bet market_id probability stake\` to bet`
-      });
-    } catch (error) {
-      await respond(`❌ Error: ${error.message}`);
-    }
+  await ack();
+  
+  const marketId = `market_${Date.now()}`;
+  try {
+    await createMarket({ ...market, id: marketId, channelId, teamId: body.team.id });
+  } catch (error) {
+    await client.chat.postMessage({
+      channel: userId,
+      text: `❌ Couldn't create your market "${market.question}": ${error.message}`
+    }).catch(() => {});
     return;
   }
   
-  // User stats
-  if (text === 'stats' || text === 'me') {
-    try {
-      const user = await getUser(command.user_id);
-      
-      await respond({
-        response_type: 'ephemeral',
-        text: `📊 *Your Stats*\n\n💰 Bankroll: ${user.bankroll}\n📈 Staked: ${user.total_staked}\n💵 Available: ${user.bankroll - user.total_staked}\n\n🏆 Bets: ${user.bets_placed} | ✅ Won: ${user.bets_won}\n📊 Accuracy: ${(parseFloat(user.accuracy) * 100).toFixed(1)}%\n💰 Total Profit: ${user.total_profit}\n🔥 Current Streak: ${user.prediction_streak}\n⭐ Best Streak: ${user.best_streak}\n🎯 Markets Created: ${user.markets_created}`
-      });
-    } catch (error) {
-      await respond(`❌ Error: ${error.message}`);
+  try {
+    await postMarketCard(client, marketId, channelId);
+  } catch (error) {
+    // Usually the bot isn't in that channel. The market exists, so hand the card to its creator.
+    console.error(`Failed to announce ${marketId}:`, error.data ? error.data.error : error.message);
+    await client.chat.postMessage({
+      channel: userId,
+      text: `⚠️ Your market was created but I couldn't post it in <#${channelId}>`,
+      blocks: [
+        { type: "section", text: { type: "mrkdwn", text: `⚠️ Your market was created but I couldn't post it in <#${channelId}> - invite me there or share \`${marketId}\` yourself.` } },
+        ...buildMarketCard(await getMarket(marketId))
+      ]
+    }).catch(() => {});
+  }
+});
+
+// App Home: the user's money, positions, markets closing soon, recent results and rank.
+// Published whenever the tab is opened, and again when something changes in a market the
+// user is in while they might be looking at it.
+const HOME_CLOSING_SOON = 5;
+const HOME_RECENTLY_RESOLVED = 5;
+
+// Users who've opened the tab since startup, with their workspace. Anyone else gets a fresh
+// view the next time they open it anyway.
+const homeViewers = new Map();
+
+function homeBetAccessory(market) {
+  const open = !market.resolved && !market.closed && new Date(market.deadline) > new Date();
+  if (!open || isScalarMarket(market)) return undefined;
+  
+  if (isCategoricalMarket(market)) {
+    return {
+      type: "static_select",
+      action_id: `home_bet_${market.id}`,
+      placeholder: { type: "plain_text", text: "Bet on..." },
+      options: market.outcomes.map((label, i) => ({ text: { type: "plain_text", text: label.slice(0, 75) }, value: String(i) }))
+    };
+  }
+  return { type: "button", text: { type: "plain_text", text: "Bet" }, action_id: `home_bet_${market.id}`, style: "primary" };
+}
+
+function formatHomeResult(market) {
+  if (market.user_stake === null) return "You weren't in this one";
+  const profit = parseInt(market.user_profit) || 0;
+  if (market.user_stake === 0) return `💵 You sold out before it closed: ${profit >= 0 ? '+' : '-'}$${Math.abs(profit)}`;
+  if (market.voided) return `💵 Your $${market.user_stake} was refunded`;
+  return `💵 Your result: ${profit >= 0 ? '+' : '-'}$${Math.abs(profit)} on $${market.user_stake}`;
+}
+
+async function buildHomeView(userId, teamId) {
+  const user = await getUser(userId, teamId);
+  const positions = await getOpenPositions(userId, teamId);
+  const { markets: closingSoon } = await searchMarkets(teamId, { status: 'open', sort: 'deadline' }, HOME_CLOSING_SOON, 0);
+  const resolved = await getRecentlyResolved(teamId, userId, HOME_RECENTLY_RESOLVED);
+  const ranks = await getLeaderboardRanks(userId, teamId);
+  
+  const rankLine = !ranks ? '🏆 Place a bet to get on the leaderboard'
+    : `🏆 #${ranks.profit} of ${ranks.profitPlayers} by profit` +
+      (ranks.accuracy ? ` · #${ranks.accuracy} of ${ranks.accuracyPlayers} by accuracy` : ' · 3 resolved bets to rank on accuracy');
+  
+  const section = (text, accessory) => ({ type: "section", text: { type: "mrkdwn", text }, ...(accessory ? { accessory } : {}) });
+  const heading = (text) => [{ type: "divider" }, section(text)];
+  
+  const blocks = [
+    { type: "header", text: { type: "plain_text", text: "🎯 Prediction Markets" } },
+    section(`💰 Bankroll: *$${user.bankroll}* | 📈 Staked: $${user.total_staked} | 💵 Available: *$${user.bankroll - user.total_staked}*\n${rankLine}`),
+    {
+      type: "actions",
+      elements: [{ type: "button", text: { type: "plain_text", text: "➕ Create a market" }, action_id: "home_create_market", style: "primary" }]
+    },
+    ...heading(`*📈 Your Open Positions* (${positions.length})`)
+  ];
+  
+  if (positions.length === 0) {
+    blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: "No open positions. Pick a market below to get started!" }] });
+  }
+  for (const { market, bet } of positions) {
+    blocks.push(section(`${formatMarketListing(market)}\n🎯 ${formatPosition(market, bet, null)}`, homeBetAccessory(market)));
+    if (isLmsrMarket(market) && !market.closed && new Date(market.deadline) > new Date()) {
+      const quote = quoteSale(market, bet, 1);
+      const preview = `Sell your whole position now for about $${quote.proceeds} (${quote.profit >= 0 ? '+' : '-'}$${Math.abs(quote.profit)} on the $${quote.released} it cost)?`;
+      blocks.push({ type: "actions", elements: [cashOutButton(market.id, 'home_cash_out', preview)] });
     }
-    return;
   }
   
-  // Market info
-  if (text.startsWith('info ')) {
-    const marketId = text.replace('info ', '').trim();
-    
-    try {
+  blocks.push(...heading('*⏰ Closing Soon*'));
+  if (closingSoon.length === 0) {
+    blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: "No open markets. Create one above!" }] });
+  }
+  for (const market of closingSoon) {
+    blocks.push(section(formatMarketListing(market), homeBetAccessory(market)));
+  }
+  
+  blocks.push(...heading('*🏁 Recently Resolved*'));
+  if (resolved.length === 0) {
+    blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: "Nothing resolved yet." }] });
+  }
+  for (const market of resolved) {
+    blocks.push(section(`${formatMarketListing(market)}\n${formatHomeResult(market)}`));
+  }
+  
+  return { type: "home", blocks };
+}
+
+// Republish the home of everyone in a market (bettors and its creator) who's opened it
+async function refreshMarketHomes(marketId) {
+  const market = await getMarket(marketId);
+  if (!market) return;
+  
+  const userIds = new Set([market.creator, ...(await getMarketBets(marketId)).map(bet => bet.user_id)]);
+  for (const userId of userIds) {
+    const teamId = homeViewers.get(userId);
+    if (!teamId) continue;
+    await app.client.views.publish({
+      token: await getBotToken(teamId),
+      user_id: userId,
+      view: await buildHomeView(userId, teamId)
+    });
+  }
+}
+
+app.event('app_home_opened', async ({ event, context, client }) => {
+  if (event.tab !== 'home') return;
+  
+  homeViewers.set(event.user, context.teamId);
+  try {
+    await client.views.publish({
+      user_id: event.user,
+      view: await buildHomeView(event.user, context.teamId)
+    });
+  } catch (error) {
+    console.error('Error publishing App Home:', error.data ? error.data.error : error.message);
+  }
+});
+
+app.action('home_create_market', async ({ ack, body, client }) => {
+  await ack();
+  
+  try {
+    await openCreateMarketModal(client, body.trigger_id, null);
+  } catch (error) {
+    console.error('Error opening market form:', error);
+  }
+});
+
+// Bet buttons (yes/no) and outcome pickers (multiple choice) on the App Home
+app.action(/^home_bet_/, async ({ action, ack, body, client }) => {
+  await ack();
+  
+  const marketId = action.action_id.replace('home_bet_', '');
+  try {
+    if (action.type === 'static_select') {
+      const outcome = parseInt(action.selected_option.value);
+      const probability = await outcomeBetStart(marketId, outcome);
+      await openBetModal(client, body.trigger_id, marketId, body.user.id, body.team.id, probability, outcome, null);
+    } else {
       const market = await getMarket(marketId);
-      if (!market) {
-        await respond({
-          response_type: 'ephemeral',
-          text: '❌ Market not found'
-        });
-        return;
-      }
-      
-      const bets = await getMarketBets(marketId);
-      const participants = new Set(bets.map(bet => bet.user_id)).size;
-      const user_bet = bets.find(bet => bet.user_id === command.user_id);
+      await openBetModal(client, body.trigger_id, marketId, body.user.id, body.team.id, market ? Math.round(parseFloat(market.probability) * 100) / 100 : 0.5, null, null);
+    }
+  } catch (error) {
+    // No channel to answer in, so the home view is refreshed to show where the market is now
+    console.error(`Error opening bet form for ${marketId}:`, error.message);
+    await client.views.publish({ user_id: body.user.id, view: await buildHomeView(body.user.id, body.team.id) }).catch(() => {});
+  }
+});
+
+// Cash out buttons on the App Home. There's no channel to answer in, so the result goes to
+// the app's DM and the home view is redrawn either way.
+app.action(/^home_cash_out_/, async ({ action, ack, body, client }) => {
+  await ack();
+  
+  const marketId = action.action_id.replace('home_cash_out_', '');
+  let text;
+  try {
+    const result = await sellPosition(marketId, body.user.id, 1);
+    scheduleMarketUpdate(marketId);
+    text = `✅ ${result.message}\n💰 Available: ${result.user.bankroll - result.user.total_staked}`;
+  } catch (error) {
+    text = `❌ ${error.message}`;
+  }
+  
+  await client.chat.postMessage({ channel: body.user.id, text }).catch(error => console.error('Error confirming sale:', error.data ? error.data.error : error.message));
+  await client.views.publish({ user_id: body.user.id, view: await buildHomeView(body.user.id, body.team.id) }).catch(() => {});
+});
+
+// Admin exports: /predict export [markets|bets|users] [csv|json] [since:YYYY-MM-DD]
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value)
+    : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Write the export to a temp file batch by batch, respecting backpressure. Returns the row count.
+async function writeExportFile(filePath, table, format, teamId, since) {
+  const out = fs.createWriteStream(filePath);
+  const write = async (chunk) => {
+    if (!out.write(chunk)) await once(out, 'drain');
+  };
+  
+  let count = 0;
+  try {
+    for await (const { fields, rows } of exportBatches(table, teamId, since)) {
+      if (count === 0 && format === 'csv') await write(`${fields.join(',')}\n`);
+      if (count === 0 && format === 'json') await write('[');
       
-      let betDetails = '';
-      if (user_bet) {
-        betDetails = `\n🎯 Your bet: ${user_bet.stake} on ${(parseFloat(user_bet.probability) * 100).toFixed(1)}%`;
+      for (const row of rows) {
+        await write(format === 'csv'
+          ? `${fields.map(field => csvCell(row[field])).join(',')}\n`
+          : `${count > 0 ? ',' : ''}\n${JSON.stringify(row)}`);
+        count++;
+      }
+    }
+    if (format === 'json') await write('\n]\n');
+  } finally {
+    out.end();
+    await once(out, 'finish');
+  }
+  
+  return count;
+}
+
+// Build the file on disk and upload it to the admin's DM. The Slack client still reads the
+// finished file into memory to upload it, but the rows never all are.
+async function sendExport(client, userId, teamId, { table, format, since }) {
+  const filename = `${table}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  const filePath = path.join(os.tmpdir(), `prediction-export-${crypto.randomBytes(6).toString('hex')}-${filename}`);
+  
+  try {
+    const count = await writeExportFile(filePath, table, format, teamId, since);
+    const dm = await openDirectMessage(client, userId);
+    if (!dm) throw new Error("Couldn't open a DM to send the file");
+    
+    const sinceLabel = since.getTime() > 0 ? ` since ${since.toISOString().slice(0, 10)}` : '';
+    await client.files.uploadV2({
+      channel_id: dm,
+      file: filePath,
+      filename,
+      initial_comment: `📦 *${table} export*${sinceLabel}: ${count} ${count === 1 ? 'row' : 'rows'}`
+    });
+    return count;
+  } finally {
+    await fs.promises.unlink(filePath).catch(() => {});
+  }
+}
+
+// Read-only JSON API for dashboards and reports, served next to the socket connection.
+// Every request needs `Authorization: Bearer <token>` with a token from `/predict apitoken`,
+// and only sees that token's workspace. Lists take ?page= and ?per_page=, and every
+// response carries an ETag so unchanged data comes back as a 304.
+const API_DEFAULT_PAGE_SIZE = 25;
+const API_MAX_PAGE_SIZE = 100;
+
+// Called while the app is being constructed, so it can only wire up handlers
+function apiRoutes() {
+  return [
+    apiRoute('/api/markets', apiListMarkets),
+    apiRoute('/api/markets/:id', apiGetMarket),
+    apiRoute('/api/users/:id', apiGetUser),
+    apiRoute('/api/leaderboard/:type', apiGetLeaderboard)
+  ];
+}
+
+// Wraps a handler ({ teamId, params, query }) => body|null with auth, 404s, errors and ETags
+function apiRoute(path, handler) {
+  return {
+    path,
+    method: ['GET'],
+    handler: async (req, res) => {
+      try {
+        const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+        const teamId = match ? await getApiTokenTeam(match[1]) : null;
+        if (!teamId) {
+          sendJson(req, res, 401, { error: 'invalid_token' });
+          return;
+        }
+        
+        const query = new URL(req.url, 'http://localhost').searchParams;
+        const body = await handler({ teamId, params: req.params, query });
+        if (!body) {
+          sendJson(req, res, 404, { error: 'not_found' });
+          return;
+        }
+        sendJson(req, res, 200, body);
+      } catch (error) {
+        console.error(`API error on ${req.url}:`, error);
+        sendJson(req, res, 500, { error: 'internal_error' });
       }
-      
-      await respond({
-        response_type: 'ephemeral',
-        text: `📊 *Market Details*\n\n*${market.question}*\n\n📈 Probability: *${(parseFloat(market.probability) * 100).toFixed(1)}%*\n💰 Total staked: ${market.total_stake}\n👥 Participants: ${participants}\n⏰ Deadline: ${new Date(market.deadline).toLocaleDateString()}${betDetails}`
-      });
-    } catch (error) {
-      await respond(`❌ Error: ${error.message}`);
     }
+  };
+}
+
+function sendJson(req, res, status, body) {
+  const json = JSON.stringify(body);
+  const etag = `"${crypto.createHash('sha1').update(json).digest('base64url')}"`;
+  const headers = { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'private, no-cache', ETag: etag };
+  
+  const ifNoneMatch = (req.headers['if-none-match'] || '').split(',').map(tag => tag.trim().replace(/^W\//, ''));
+  if (status === 200 && ifNoneMatch.includes(etag)) {
+    res.writeHead(304, headers);
+    res.end();
     return;
   }
   
-  // Default: show help if command not recognized
-  await respond({
-    response_type: 'ephemeral',
-    text: `❌ Unknown command. Try \`/predict help\` for available options.`
-  });
-});
+  res.writeHead(status, headers);
+  res.end(json);
+}
 
-// Quick bet buttons
-app.action(/^bet_quick_/, async ({ action, ack, respond, body }) => {
-  await ack();
+function apiPagination(query) {
+  const page = Math.max(parseInt(query.get('page')) || 1, 1);
+  const perPage = Math.min(Math.max(parseInt(query.get('per_page')) || API_DEFAULT_PAGE_SIZE, 1), API_MAX_PAGE_SIZE);
+  return { page, perPage, offset: (page - 1) * perPage };
+}
+
+function paginated(key, items, total, { page, perPage }) {
+  return {
+    [key]: items,
+    page,
+    per_page: perPage,
+    total,
+    next_page: page * perPage < total ? page + 1 : null
+  };
+}
+
+function apiTimestamp(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+// Numeric markets report values as numbers, dates as ISO strings
+function apiScalarValue(value, unit) {
+  return unit === 'date' ? new Date(value).toISOString() : value;
+}
+
+function serializeMarket(market) {
+  const status = market.voided ? 'cancelled'
+    : market.resolved ? 'resolved'
+    : market.closed || new Date(market.deadline) <= new Date() ? 'closed'
+    : 'open';
   
-  console.log('=== BUTTON DEBUG ===');
-  console.log('Full action_id:', action.action_id);
-  console.log('Action split:', action.action_id.split('_'));
+  const serialized = {
+    id: market.id,
+    question: market.question,
+    description: market.description,
+    resolution_criteria: market.resolution_criteria,
+    type: market.market_type || 'binary',
+    status,
+    creator: market.creator,
+    channel_id: market.channel_id,
+    created_at: apiTimestamp(market.created_at),
+    deadline: apiTimestamp(market.deadline),
+    resolved_at: apiTimestamp(market.resolved_at),
+    total_stake: market.total_stake,
+    liquidity: isLmsrMarket(market) ? parseFloat(market.liquidity) : null
+  };
   
-  const parts = action.action_id.split('_');
-  const marketId = parts.slice(2, -1).join('_');
-  const probability = parts[parts.length - 1];
+  if (hasOutcomeVector(market)) {
+    const prices = getOutcomePrices(market);
+    serialized.outcomes = market.outcomes.map((label, i) => ({ label, probability: prices[i] }));
+    serialized.winning_outcome = market.resolved && !market.voided ? market.outcomes[market.winning_outcome] : null;
+  } else {
+    serialized.probability = parseFloat(market.probability);
+    serialized.resolution = market.resolved && !market.voided ? (market.resolution ? 'yes' : 'no') : null;
+  }
   
-  console.log('Extracted market ID:', marketId);
-  console.log('Extracted probability:', probability);
+  if (isScalarMarket(market)) {
+    const prices = getOutcomePrices(market);
+    const unit = market.scalar_unit;
+    serialized.range = { min: apiScalarValue(parseFloat(market.scalar_min), unit), max: apiScalarValue(parseFloat(market.scalar_max), unit), unit };
+    serialized.median = apiScalarValue(scalarQuantile(market, prices, 0.5), unit);
+    serialized.interval_80 = [apiScalarValue(scalarQuantile(market, prices, 0.1), unit), apiScalarValue(scalarQuantile(market, prices, 0.9), unit)];
+    serialized.resolved_value = market.resolved_value !== null && market.resolved_value !== undefined ? apiScalarValue(parseFloat(market.resolved_value), unit) : null;
+  }
   
-  const userId = body.user.id;
-  const default_amount = 25; // $25 quick bet
+  return serialized;
+}
+
+function serializeUser(user) {
+  return {
+    id: user.id,
+    bankroll: user.bankroll,
+    total_staked: user.total_staked,
+    available: user.bankroll - user.total_staked,
+    bets_placed: user.bets_placed,
+    bets_won: user.bets_won,
+    accuracy: parseFloat(user.accuracy),
+    total_profit: user.total_profit,
+    biggest_win: user.biggest_win,
+    prediction_streak: user.prediction_streak,
+    best_streak: user.best_streak,
+    markets_created: user.markets_created,
+    bailed_out_at: apiTimestamp(user.bailed_out_at)
+  };
+}
+
+// GET /api/markets?channel=C123 - open markets, newest first
+async function apiListMarkets({ teamId, query }) {
+  const pagination = apiPagination(query);
+  const markets = await getActiveMarkets(teamId, query.get('channel'));
+  const page = markets.slice(pagination.offset, pagination.offset + pagination.perPage);
+  return paginated('markets', page.map(serializeMarket), markets.length, pagination);
+}
+
+// GET /api/markets/:id - one market with its bets and price history
+async function apiGetMarket({ teamId, params }) {
+  const market = await getTeamMarket(params.id, teamId);
+  if (!market) return null;
+  
+  const bets = await getMarketBets(market.id);
+  const history = await getMarketHistory(market.id);
+  
+  return {
+    market: serializeMarket(market),
+    bets: bets.map(bet => ({
+      user_id: bet.user_id,
+      stake: bet.stake,
+      probability: bet.probabilities ? null : parseFloat(bet.probability),
+      probabilities: bet.probabilities ? bet.probabilities.map(p => parseFloat(p)) : null,
+      created_at: apiTimestamp(bet.created_at),
+      updated_at: apiTimestamp(bet.updated_at)
+    })),
+    history: history.map(point => ({
+      at: apiTimestamp(point.created_at),
+      probability: point.probability !== null ? parseFloat(point.probability) : null,
+      outcome_probabilities: point.outcome_probabilities ? point.outcome_probabilities.map(p => parseFloat(p)) : null,
+      total_stake: point.total_stake,
+      user_id: point.user_id
+    }))
+  };
+}
+
+// GET /api/users/:id
+async function apiGetUser({ teamId, params }) {
+  const user = await findTeamUser(params.id, teamId);
+  return user ? { user: serializeUser(user) } : null;
+}
+
+// GET /api/leaderboard/:type - accuracy, profit, volume or streak
+async function apiGetLeaderboard({ teamId, params, query }) {
+  const getLeaderboard = LEADERBOARD_TYPES[params.type];
+  if (!getLeaderboard) return null;
+  
+  // The leaderboard queries only take a limit, so fetch through the end of the requested page
+  const pagination = apiPagination(query);
+  const users = await getLeaderboard(teamId, pagination.offset + pagination.perPage + 1);
+  const entries = users.slice(pagination.offset, pagination.offset + pagination.perPage).map((user, i) => ({
+    rank: pagination.offset + i + 1,
+    ...serializeUser(user)
+  }));
+  
+  return {
+    type: params.type,
+    entries,
+    page: pagination.page,
+    per_page: pagination.perPage,
+    next_page: users.length > pagination.offset + pagination.perPage ? pagination.page + 1 : null
+  };
+}
+
+// Who has to resolve a market once betting closes
+async function getResolver(market) {
+  return getWorkspaceAdmin(market.team_id);
+}
+
+function formatResolverMention(resolver) {
+  return resolver ? `<@${resolver}>` : 'an admin';
+}
+
+function resolveHint(market) {
+  if (isScalarMarket(market)) return `/predict resolve ${market.id} <value>`;
+  if (isCategoricalMarket(market)) return `/predict resolve ${market.id} <outcome number>`;
+  return `/predict resolve ${market.id} yes|no|n/a`;
+}
+
+// Deadline scheduler. All state lives in Postgres, so it just picks up where it left off after a restart.
+let schedulerRunning = false;
+
+async function runScheduler() {
+  if (schedulerRunning) return;
+  schedulerRunning = true;
   
   try {
-    const market = await getMarket(marketId);
-    if (!market || !market.active) {
-      await respond({
-        response_type: 'ephemeral',
-        text: '❌ Market not found or inactive'
-      });
-      return;
+    const closed = await closeExpiredMarkets();
+    for (const market of closed) {
+      scheduleMarketUpdate(market.id);
+      if (!market.channel_id) continue;
+      try {
+        await app.client.chat.postMessage({
+          token: await getBotToken(market.team_id),
+          channel: market.channel_id,
+          text: `🔒 *Betting closed!*\n\n*${market.question}*\n\n📊 Final probability: *${(parseFloat(market.probability) * 100).toFixed(1)}%* | 💰 Staked: $${market.total_stake}\n⏳ Waiting for ${formatResolverMention(await getResolver(market))} to resolve \`${market.id}\``
+        });
+      } catch (error) {
+        console.error(`Failed to post close notice for ${market.id}:`, error.message);
+      }
     }
     
-    if (new Date() > new Date(market.deadline)) {
-      await respond({
-        response_type: 'ephemeral',
-        text: '❌ Market has expired'
-      });
-      return;
+    for (const season of await getSeasonsDueToRoll()) {
+      try {
+        await finishSeason(season, { rollOver: true });
+      } catch (error) {
+        console.error(`Failed to roll over season ${season.name}:`, error.message);
+      }
     }
     
-    const result = await placeBet(marketId, userId, default_amount, parseFloat(probability));
-    
-    await respond({
-      response_type: 'ephemeral',
-      text: `✅ Quick bet: ${result.stake_placed} on ${(parseFloat(probability) * 100).toFixed(0)}%\n\n📊 Market: *${(result.new_market_probability * 100).toFixed(1)}%*`
-    });
+    for (const recipient of await getAllowanceRecipients()) {
+      try {
+        await grantAllowance(recipient.id, recipient.team_id);
+      } catch (error) {
+        console.error(`Failed to pay allowance to ${recipient.id} in ${recipient.team_id}:`, error.message);
+      }
+    }
     
+    const reminders = await claimResolveReminders(RESOLVE_REMINDER_HOURS);
+    for (const market of reminders) {
+      const nag = market.reminder_count > 1 ? ` (reminder #${market.reminder_count})` : '';
+      const resolver = await getResolver(market);
+      if (!resolver) continue;
+      try {
+        await app.client.chat.postMessage({
+          token: await getBotToken(market.team_id),
+          channel: resolver,
+          text: `⏰ *A market needs resolving${nag}*\n\n*${market.question}*\n🆔 \`${market.id}\` closed ${formatSlackDate(market.deadline)}\n\nResolve it with \`${resolveHint(market)}\``
+        });
+      } catch (error) {
+        console.error(`Failed to send resolve reminder for ${market.id}:`, error.message);
+      }
+    }
   } catch (error) {
-    await respond({
-      response_type: 'ephemeral',
-      text: `❌ ${error.message}`
-    });
+    console.error('Scheduler run failed:', error);
+  } finally {
+    schedulerRunning = false;
   }
-});
+}
 
-// Start the app
-(async () => {
-  try {
-    await initializeDatabase();
-    await app.start();
-    console.log('⚡️ Prediction Market Bot with Leaderboards is running!');
-    console.log(`🔑 Admin User ID: ${ADMIN_USER_ID}`);
-  } catch (error) {
-    console.error('Failed to start app:', error);
-  }
-})();
\ No newline at end of file
+function startScheduler() {
+  runScheduler();
+  setInterval(runScheduler, SCHEDULER_INTERVAL_MS);
+  console.log(`⏱️ Deadline scheduler running every ${SCHEDULER_INTERVAL_MS / 1000}s`);
+}
+
+// Start the app (skipped when another script, like the stress test, requires this file)
+if (require.main === module) {
+  (async () => {
+    try {
+      await initializeDatabase();
+      await app.start();
+      if (!MULTI_WORKSPACE) {
+        const { team_id } = await app.client.auth.test();
+        await adoptUnscopedRows(team_id);
+      }
+      startScheduler();
+      console.log('⚡️ Prediction Market Bot with Leaderboards is running!');
+      if (MULTI_WORKSPACE) {
+        console.log('🔑 Admins: each workspace\'s installer');
+        console.log(`🏢 Install page: http://localhost:${HTTP_PORT}/slack/install`);
+      } else {
+        console.log(ADMIN_USER_ID ? `🔑 Admin User ID: ${ADMIN_USER_ID}` : '⚠️ ADMIN_USER_ID is not set, so nobody can use admin commands');
+      }
+      console.log(`🌐 JSON API on http://localhost:${HTTP_PORT}/api`);
+    } catch (error) {
+      console.error('Failed to start app:', error);
+    }
+  })();
+}
+
+module.exports = {
+  pool,
+  initializeDatabase,
+  createMarket,
+  placeBet,
+  sellPosition,
+  resolveMarket,
+  voidMarket,
+  getUser,
+  getMarket,
+  getMarketBets,
+  reconcileLedger
+};
@@ -0,0 +1,195 @@
+// LMSR (logarithmic market scoring rule) market maker math. Prices come from the
+// outstanding share quantities of each outcome; the creator's worst-case loss is
+// b * ln(n) for n even outcomes, which is the subsidy they lock when the market is
+// created. Yes/no markets keep q_yes / q_no, multiple-choice and numeric markets a
+// vector of outcome quantities. Everything here is pure, so it can be tested alone.
+const LMSR_PRICE_BOUND = 0.01; // Never trade the price all the way to 0% or 100%
+
+function lmsrPrice(q_yes, q_no, b) {
+    return 1 / (1 + Math.exp((q_no - q_yes) / b));
+}
+
+// Worst-case maker loss is b * ln(1 / p) for the outcome with the lowest opening price p:
+// b * ln(n) for a market that opens with even odds
+function lmsrSubsidy(b, outcome_count = 2, lowest_price = 1 / outcome_count) {
+    return Math.ceil(b * Math.log(1 / lowest_price));
+}
+
+function lmsrMaxLiquidity(max_subsidy, outcome_count = 2, lowest_price = 1 / outcome_count) {
+    return Math.floor(max_subsidy / Math.log(1 / lowest_price));
+}
+
+// Outstanding shares a yes/no market opens with so its price starts at `probability`.
+// They belong to nobody; the subsidy covers the maker's wider worst case.
+function lmsrOpeningShares(b, probability) {
+    const offset = b * Math.log(probability / (1 - probability));
+    return { q_yes: Math.max(offset, 0), q_no: Math.max(-offset, 0) };
+}
+
+// Cost of buying `shares` of an outcome currently priced at `price`
+function lmsrCostForShares(price, shares, b) {
+    return b * Math.log(1 - price + price * Math.exp(shares / b));
+}
+
+// Shares of an outcome currently priced at `price` that `cost` dollars buys
+function lmsrSharesForCost(price, cost, b) {
+    return b * Math.log((Math.exp(cost / b) - 1 + price) / price);
+}
+
+// Shares needed to move an outcome's price from `price` to `target`
+function lmsrSharesToPrice(price, target, b) {
+    return b * Math.log((target * (1 - price)) / (price * (1 - target)));
+}
+
+function lmsrPriceAfter(price, shares, b) {
+    const grown = price * Math.exp(shares / b);
+    return grown / (1 - price + grown);
+}
+
+// Quote a trade that moves the YES price toward `target_prob`, spending at most `budget`.
+// Buys YES shares if the target is above the current price, NO shares if below.
+function quoteLmsrTrade(market, target_prob, budget) {
+    const b = parseFloat(market.liquidity);
+    const yes_price = lmsrPrice(parseFloat(market.q_yes), parseFloat(market.q_no), b);
+    const target = Math.min(Math.max(target_prob, LMSR_PRICE_BOUND), 1 - LMSR_PRICE_BOUND);
+    
+    const side = target >= yes_price ? 'yes' : 'no';
+    const side_price = side === 'yes' ? yes_price : 1 - yes_price;
+    const side_target = side === 'yes' ? target : 1 - target;
+    
+    let shares = side_target > side_price ? lmsrSharesToPrice(side_price, side_target, b) : 0;
+    let cost = lmsrCostForShares(side_price, shares, b);
+    
+    if (cost > budget) {
+        shares = lmsrSharesForCost(side_price, budget, b);
+        cost = budget;
+    }
+    
+    const side_price_after = lmsrPriceAfter(side_price, shares, b);
+    
+    return {
+        side,
+        shares,
+        cost: Math.ceil(cost - 1e-9), // Whole dollars; the maker keeps the rounding
+        probability_before: yes_price,
+        new_market_probability: side === 'yes' ? side_price_after : 1 - side_price_after
+    };
+}
+
+// Multiple-choice markets use the same cost function over a vector of outcome quantities
+function lmsrCost(quantities, b) {
+    const max = Math.max(...quantities);
+    return max + b * Math.log(quantities.reduce((sum, q) => sum + Math.exp((q - max) / b), 0));
+}
+
+function lmsrPrices(quantities, b) {
+    const max = Math.max(...quantities);
+    const weights = quantities.map(q => Math.exp((q - max) / b));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    return weights.map(w => w / total);
+}
+
+// Scale a forecast so it sums to 1, keeping every outcome inside the tradeable price range
+function normalizeProbabilities(probabilities) {
+    const total = probabilities.reduce((sum, p) => sum + p, 0);
+    if (!(total > 0)) {
+        throw new Error("Probabilities must add up to more than 0");
+    }
+    const bounded = probabilities.map(p => Math.max(p / total, LMSR_PRICE_BOUND));
+    const bounded_total = bounded.reduce((sum, p) => sum + p, 0);
+    return bounded.map(p => p / bounded_total);
+}
+
+// Target prices for a bet on a single outcome: that outcome moves to `probability`
+// and the rest keep their relative odds
+function targetForOutcome(prices, outcome, probability) {
+    const remaining = 1 - prices[outcome];
+    return prices.map((price, i) => i === outcome
+        ? probability
+        : remaining > 0 ? price * (1 - probability) / remaining : (1 - probability) / (prices.length - 1));
+}
+
+// Quote a trade that moves the market toward `targets`, spending at most `budget`.
+// Only buys shares: the outcome furthest below its target gets none.
+function quoteCategoricalTrade(market, targets, budget) {
+    const b = parseFloat(market.liquidity);
+    const quantities = market.outcome_shares.map(q => parseFloat(q));
+    const target = normalizeProbabilities(targets);
+    
+    // At target prices each quantity is b * ln(t) plus a shared offset, chosen so nothing is sold
+    const raw = target.map(t => b * Math.log(t));
+    const offset = Math.max(...quantities.map((q, i) => q - raw[i]));
+    const full = raw.map((r, i) => r + offset - quantities[i]);
+    
+    const start_cost = lmsrCost(quantities, b);
+    const costOf = (scale) => lmsrCost(quantities.map((q, i) => q + full[i] * scale), b) - start_cost;
+    
+    let scale = 1;
+    let cost = costOf(1);
+    if (cost > budget) {
+        // Cost grows monotonically along the path, so bisect for the budget
+        let low = 0, high = 1;
+        for (let i = 0; i < 50; i++) {
+            const mid = (low + high) / 2;
+            if (costOf(mid) > budget) high = mid; else low = mid;
+        }
+        scale = low;
+        cost = costOf(low);
+    }
+    
+    const shares = full.map(s => s * scale);
+    
+    return {
+        shares,
+        cost: Math.ceil(cost - 1e-9),
+        prices_before: lmsrPrices(quantities, b),
+        prices_after: lmsrPrices(quantities.map((q, i) => q + shares[i]), b),
+        target
+    };
+}
+
+// Smallest part of a position that can be sold
+const MIN_SALE_FRACTION = 0.01;
+
+// Quote selling `fraction` of a position back to the market maker. The shares go back
+// through the LMSR cost function, so the price slides as they're sold, just as it does
+// when buying. Proceeds are whole dollars rounded down (the maker keeps the rounding) and
+// the same fraction of the stake is released; a partial sale always leaves some stake so
+// the position stays open.
+function quoteSale(market, bet, fraction) {
+    const b = parseFloat(market.liquidity);
+    const vector = market.outcome_shares !== null && market.outcome_shares !== undefined;
+    const quantities = vector ? market.outcome_shares.map(q => parseFloat(q)) : [parseFloat(market.q_yes), parseFloat(market.q_no)];
+    const held = vector ? bet.outcome_shares.map(s => parseFloat(s)) : [parseFloat(bet.shares_yes), parseFloat(bet.shares_no)];
+    
+    const sold = held.map(shares => shares * fraction);
+    const quantities_after = quantities.map((q, i) => q - sold[i]);
+    const proceeds = Math.max(Math.floor(lmsrCost(quantities, b) - lmsrCost(quantities_after, b) + 1e-9), 0);
+    const released = fraction >= 1 ? bet.stake : Math.min(Math.round(bet.stake * fraction), bet.stake - 1);
+    
+    return {
+        sold,
+        remaining: held.map((shares, i) => fraction >= 1 ? 0 : shares - sold[i]),
+        proceeds,
+        released,
+        profit: proceeds - released,
+        quantities_after,
+        prices_after: lmsrPrices(quantities_after, b)
+    };
+}
+
+module.exports = {
+    LMSR_PRICE_BOUND,
+    MIN_SALE_FRACTION,
+    lmsrPrice,
+    lmsrSubsidy,
+    lmsrMaxLiquidity,
+    lmsrOpeningShares,
+    quoteLmsrTrade,
+    lmsrCost,
+    lmsrPrices,
+    normalizeProbabilities,
+    targetForOutcome,
+    quoteCategoricalTrade,
+    quoteSale
+};
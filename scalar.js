@@ -0,0 +1,110 @@
+// Numeric / date-range markets: the range is split into buckets that trade like outcomes.
+// Values outside the range count toward the first or last bucket. `market` is a markets
+// row: scalar_min, scalar_max, scalar_unit ('date' for date ranges) and one outcome per bucket.
+const DEFAULT_SCALAR_BUCKETS = 10;
+const MAX_SCALAR_BUCKETS = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCALAR_INTERVAL_Z = 1.2816; // Forecast intervals are read as 80% intervals
+
+// Dates are stored as epoch milliseconds at UTC midnight
+function parseScalarValue(str, unit) {
+    if (str === undefined || str === null) return NaN;
+    if (unit === 'date') {
+        return /^\d{4}-\d{2}-\d{2}$/.test(str.trim()) ? Date.parse(str.trim()) : NaN;
+    }
+    const cleaned = String(str).replace(/[$,]/g, '').trim();
+    return cleaned === '' ? NaN : Number(cleaned);
+}
+
+function formatScalarValue(value, unit) {
+    const number = parseFloat(value);
+    if (unit === 'date') {
+        return new Date(number).toISOString().split('T')[0];
+    }
+    return Number.isInteger(number) ? String(number) : number.toFixed(1);
+}
+
+// Bucket boundaries; date buckets snap to whole days and the max day is inclusive
+function scalarBucketEdges(min, max, count, unit) {
+    if (unit === 'date') {
+        const days = Math.round((max - min) / DAY_MS) + 1;
+        return Array.from({ length: count + 1 }, (_, i) => min + Math.round(i * days / count) * DAY_MS);
+    }
+    return Array.from({ length: count + 1 }, (_, i) => min + (max - min) * i / count);
+}
+
+function getScalarEdges(market) {
+    return scalarBucketEdges(parseFloat(market.scalar_min), parseFloat(market.scalar_max), market.outcomes.length, market.scalar_unit);
+}
+
+function buildScalarBuckets(min, max, count, unit) {
+    const edges = scalarBucketEdges(min, max, count, unit);
+    return edges.slice(0, -1).map((low, i) => {
+        if (unit === 'date') {
+            const last = edges[i + 1] - DAY_MS;
+            return last === low ? formatScalarValue(low, unit) : `${formatScalarValue(low, unit)}–${formatScalarValue(last, unit)}`;
+        }
+        return `${formatScalarValue(low, unit)}–${formatScalarValue(edges[i + 1], unit)}`;
+    });
+}
+
+function scalarBucketForValue(market, value) {
+    const edges = getScalarEdges(market);
+    const index = edges.findIndex((edge, i) => i > 0 && value < edge) - 1;
+    return index < 0 ? (value < edges[0] ? 0 : edges.length - 2) : index;
+}
+
+// Abramowitz-Stegun approximation of the standard normal CDF
+function normalCdf(x) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(x));
+    const d = 0.3989423 * Math.exp(-x * x / 2);
+    const p = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
+    return x > 0 ? 1 - p : p;
+}
+
+// Spread a point estimate and 80% interval over the buckets, using a normal curve
+// with a separate width on each side of the point so lopsided intervals work
+function scalarForecastToBuckets(market, point, low, high) {
+    const span = parseFloat(market.scalar_max) - parseFloat(market.scalar_min) || 1;
+    const sigma_low = Math.max(point - low, span * 1e-3) / SCALAR_INTERVAL_Z;
+    const sigma_high = Math.max(high - point, span * 1e-3) / SCALAR_INTERVAL_Z;
+    const cdf = (x) => x <= point
+        ? 2 * sigma_low / (sigma_low + sigma_high) * normalCdf((x - point) / sigma_low)
+        : 1 - 2 * sigma_high / (sigma_low + sigma_high) * (1 - normalCdf((x - point) / sigma_high));
+    
+    const edges = getScalarEdges(market);
+    return edges.slice(0, -1).map((edge, i) => {
+        const lower = i === 0 ? 0 : cdf(edge);
+        const upper = i === edges.length - 2 ? 1 : cdf(edges[i + 1]);
+        return Math.max(upper - lower, 0);
+    });
+}
+
+// Value below which `fraction` of the crowd's probability lies, interpolating inside buckets
+function scalarQuantile(market, prices, fraction) {
+    const edges = getScalarEdges(market);
+    let cumulative = 0;
+    for (let i = 0; i < prices.length; i++) {
+        if (cumulative + prices[i] >= fraction) {
+            const within = prices[i] > 0 ? (fraction - cumulative) / prices[i] : 0;
+            return edges[i] + (edges[i + 1] - edges[i]) * within;
+        }
+        cumulative += prices[i];
+    }
+    return edges[edges.length - 1];
+}
+
+module.exports = {
+    DEFAULT_SCALAR_BUCKETS,
+    MAX_SCALAR_BUCKETS,
+    DAY_MS,
+    parseScalarValue,
+    formatScalarValue,
+    scalarBucketEdges,
+    getScalarEdges,
+    buildScalarBuckets,
+    scalarBucketForValue,
+    normalCdf,
+    scalarForecastToBuckets,
+    scalarQuantile
+};
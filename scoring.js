@@ -0,0 +1,37 @@
+// Proper scoring rules, which pay out legacy markets (the ones created before the market
+// maker). Each maps the probability a forecaster gave to the actual outcome onto a raw
+// score; higher is better, and reporting what you believe maximises the expected score.
+const SCORING_RULES = {
+  log: {
+    name: 'Logarithmic',
+    score: (q) => Math.log(q)
+  },
+  brier: {
+    name: 'Brier',
+    score: (q) => -((1 - q) ** 2)
+  },
+  spherical: {
+    name: 'Spherical',
+    score: (q) => q / Math.sqrt(q * q + (1 - q) * (1 - q))
+  }
+};
+
+// Forecasts are clamped to this range before scoring so 0% / 100% can't blow up the log rule
+const MIN_SCORED_PROBABILITY = 0.01;
+
+// Profit for a resolved bet. The raw score is rescaled so a 50% forecast breaks even
+// and the most confident wrong forecast loses exactly the stake; being confidently
+// right wins less than that, but honest reporting maximises expected profit. `rule` is
+// one of SCORING_RULES.
+function calculateProfit(stake, probability, outcome, rule) {
+  const p = Math.min(Math.max(probability, MIN_SCORED_PROBABILITY), 1 - MIN_SCORED_PROBABILITY);
+  const q = outcome ? p : 1 - p;
+  
+  const baseline = rule.score(0.5);
+  const worst = rule.score(MIN_SCORED_PROBABILITY);
+  const normalized = (rule.score(q) - baseline) / (baseline - worst);
+  
+  return Math.round(stake * normalized);
+}
+
+module.exports = { SCORING_RULES, MIN_SCORED_PROBABILITY, calculateProfit };
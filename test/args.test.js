@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatCommandUsage, parseCommandArgs } = require('../args');
+
+const bet = {
+  name: 'bet',
+  args: [
+    { name: 'market_id', type: 'market' },
+    { name: 'outcome', type: 'word', prefix: 'on:', optional: true },
+    { name: 'forecast', type: 'forecast' },
+    { name: 'amount', type: 'money' }
+  ]
+};
+const sell = {
+  name: 'sell',
+  args: [
+    { name: 'market_id', type: 'market' },
+    { name: 'fraction', type: 'fraction', optional: true }
+  ]
+};
+const leaderboard = {
+  name: 'leaderboard',
+  args: [
+    { name: 'board', type: 'choice', choices: ['profit', 'accuracy'], aliases: { money: 'profit' }, optional: true },
+    { name: '@user', type: 'user', optional: true }
+  ]
+};
+const comment = {
+  name: 'comment',
+  args: [
+    { name: 'market_id', type: 'market' },
+    { name: 'text', type: 'text' }
+  ]
+};
+
+test('arguments are parsed by type, in order', () => {
+  assert.deepEqual(parseCommandArgs(bet, 'market_1 75% $50'), { args: { market_id: 'market_1', forecast: { probability: 0.75 }, amount: 50 } });
+  assert.deepEqual(parseCommandArgs(bet, 'market_1 likely 10').args.forecast, { probability: 0.75 });
+  assert.deepEqual(parseCommandArgs(bet, 'market_1 50/30/20 10').args.forecast, { probabilities: [0.5, 0.3, 0.2] });
+  assert.deepEqual(parseCommandArgs(bet, 'market_1 80..200 10').args.forecast, { low: '80', high: '200' });
+});
+
+test('optional arguments are only taken when they fit and leave room for the rest', () => {
+  assert.equal(parseCommandArgs(bet, 'market_1 on:red 60 10').args.outcome, 'red');
+  assert.equal(parseCommandArgs(bet, 'market_1 60 10').args.outcome, undefined);
+  assert.deepEqual(parseCommandArgs(leaderboard, '<@U123|sam>'), { args: { '@user': 'U123' } });
+  assert.deepEqual(parseCommandArgs(leaderboard, 'money <@U123>'), { args: { board: 'profit', '@user': 'U123' } });
+});
+
+test('sale fractions accept words and percentages from 1% to 100%', () => {
+  assert.equal(parseCommandArgs(sell, 'market_1 half').args.fraction, 0.5);
+  assert.equal(parseCommandArgs(sell, 'market_1 all').args.fraction, 1);
+  assert.equal(parseCommandArgs(sell, 'market_1 1%').args.fraction, 0.01);
+  assert.equal(parseCommandArgs(sell, 'market_1 0.25').args.fraction, 0.25);
+  assert.match(parseCommandArgs(sell, 'market_1 0.001').error, /isn't a portion from `1%` to `100%`/);
+  assert.match(parseCommandArgs(sell, 'market_1 150%').error, /isn't a portion/);
+});
+
+test('text takes the rest of the input', () => {
+  assert.deepEqual(parseCommandArgs(comment, 'market_1 looks   likely to me'), { args: { market_id: 'market_1', text: 'looks likely to me' } });
+  assert.equal(parseCommandArgs(comment, 'market_1').error, 'Missing `<text>`');
+});
+
+test('errors name the missing, mismatched or leftover token', () => {
+  assert.equal(parseCommandArgs(bet, 'market_1 60').error, 'Missing `<amount>`');
+  assert.equal(parseCommandArgs(bet, 'nope 60 10').error, "`nope` isn't a market ID like `market_123`");
+  assert.equal(parseCommandArgs(bet, 'market_1 60 -5').error, "`-5` isn't a whole dollar amount like `50`");
+  assert.equal(parseCommandArgs(bet, 'market_1 60 10 extra').error, 'Unexpected `extra`');
+  // A token no optional argument took is explained by the last one it was tried against
+  assert.equal(parseCommandArgs(leaderboard, 'streaks').error, "`streaks` isn't an @mention");
+  assert.equal(parseCommandArgs(sell, 'market_1 lots').error, "`lots` isn't a portion from `1%` to `100%`, like `50%`, `half` or `all`");
+});
+
+test('usage lines come from the argument definitions', () => {
+  assert.equal(formatCommandUsage(bet), '/predict bet <market_id> [on:outcome] <forecast> <amount>');
+  assert.equal(formatCommandUsage(leaderboard), '/predict leaderboard [profit|accuracy] [@user]');
+});
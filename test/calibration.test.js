@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CALIBRATION_BUCKETS, calculateCalibration } = require('../calibration');
+
+const close = (actual, expected, tolerance = 1e-12) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+
+// Resolved yes/no forecasts as getResolvedForecasts() returns them
+const yesNo = (probability, resolution) => ({ market_type: 'binary', probability: String(probability), resolution });
+
+const bucketOf = (p) => {
+  const { buckets } = calculateCalibration([yesNo(p, true)]);
+  return [buckets[0].low, buckets[0].high].map(edge => Math.round(edge * 100));
+};
+
+test('no forecasts, no report', () => {
+  assert.equal(calculateCalibration([]), null);
+});
+
+test('a forecast on a bucket edge lands in the bucket above it', () => {
+  assert.deepEqual(bucketOf(0), [0, 10]);
+  assert.deepEqual(bucketOf(0.1), [10, 20]);
+  assert.deepEqual(bucketOf(0.0999), [0, 10]);
+  for (let i = 1; i < CALIBRATION_BUCKETS; i++) {
+    assert.deepEqual(bucketOf(i / 10), [i * 10, i * 10 + 10], `${i / 10}`);
+  }
+});
+
+test('a 100% forecast lands in the last bucket', () => {
+  assert.deepEqual(bucketOf(1), [90, 100]);
+});
+
+test('brier and log score average over every forecast', () => {
+  const report = calculateCalibration([yesNo(0.8, true), yesNo(0.3, false)]);
+  assert.equal(report.count, 2);
+  assert.equal(report.baseRate, 0.5);
+  close(report.brier, (0.2 ** 2 + 0.3 ** 2) / 2);
+  close(report.logScore, (Math.log(0.8) + Math.log(0.7)) / 2);
+});
+
+test('certain forecasts are clamped so the log score stays finite', () => {
+  const report = calculateCalibration([yesNo(1, false)]);
+  close(report.logScore, Math.log(0.01));
+});
+
+test('multiple-choice forecasts count once per outcome', () => {
+  const report = calculateCalibration([{ market_type: 'categorical', probabilities: ['0.6', '0.3', '0.1'], winning_outcome: 1 }]);
+  assert.equal(report.forecasts, 1);
+  assert.equal(report.count, 3);
+  close(report.baseRate, 1 / 3);
+  close(report.brier, (0.6 ** 2 + 0.7 ** 2 + 0.1 ** 2) / 3);
+});
+
+test('reliability - resolution + uncertainty equals the Brier score', () => {
+  // The decomposition is exact when every forecast in a bucket is the same
+  const forecasts = [
+    ...[true, false, false, false].map(happened => yesNo(0.25, happened)),
+    ...[true, true, true, false, true].map(happened => yesNo(0.7, happened)),
+    ...[true, true].map(happened => yesNo(0.95, happened)),
+    yesNo(0.05, true)
+  ];
+  const report = calculateCalibration(forecasts);
+  close(report.reliability - report.resolution + report.uncertainty, report.brier);
+  assert.ok(report.reliability > 0 && report.resolution > 0);
+});
+
+test('a perfectly calibrated forecaster has zero reliability', () => {
+  const forecasts = [true, false, false, false].map(happened => yesNo(0.25, happened))
+    .concat([true, true, true, false].map(happened => yesNo(0.75, happened)));
+  const report = calculateCalibration(forecasts);
+  close(report.reliability, 0);
+  close(report.brier, report.uncertainty - report.resolution);
+});
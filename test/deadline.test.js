@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDeadline, zonedTimeToUtc, isValidTimeZone } = require('../deadline');
+
+const LA = 'America/Los_Angeles';
+// Friday 16 October 2026, noon in Los Angeles
+const FRIDAY_NOON = new Date('2026-10-16T19:00:00Z');
+
+const parsesTo = (input, expected, timeZone = LA, now = FRIDAY_NOON) =>
+  assert.equal(parseDeadline(input, timeZone, now)?.toISOString(), expected, input);
+
+test('weekdays count from the local date, and "next" is never today', () => {
+  parsesTo('friday', '2026-10-17T06:59:00.000Z');
+  parsesTo('this friday 5pm', '2026-10-17T00:00:00.000Z');
+  parsesTo('next friday', '2026-10-24T06:59:00.000Z');
+  parsesTo('next monday', '2026-10-20T06:59:00.000Z');
+  parsesTo('by next Friday, 5pm', '2026-10-24T00:00:00.000Z');
+});
+
+test('the local date decides what "tomorrow" means', () => {
+  // 8pm Friday in Los Angeles is already Saturday in UTC
+  const fridayEvening = new Date('2026-10-17T03:00:00Z');
+  parsesTo('tomorrow', '2026-10-18T06:59:00.000Z', LA, fridayEvening);
+  parsesTo('tomorrow', '2026-10-18T23:59:00.000Z', 'UTC', fridayEvening);
+});
+
+test('wall-clock times follow daylight saving changes', () => {
+  // Los Angeles moves to PDT (UTC-7) on 8 March 2026 and back to PST (UTC-8) on 1 November
+  parsesTo('2026-03-07 5pm', '2026-03-08T01:00:00.000Z');
+  parsesTo('2026-03-08 5pm', '2026-03-09T00:00:00.000Z');
+  parsesTo('2026-10-31 5pm', '2026-11-01T00:00:00.000Z');
+  parsesTo('2026-11-01 5pm', '2026-11-02T01:00:00.000Z');
+});
+
+test('relative days keep the local time across a DST change, hours do not', () => {
+  const beforeSpringForward = new Date('2026-03-07T20:00:00Z');
+  parsesTo('in 1 day 9am', '2026-03-08T16:00:00.000Z', LA, beforeSpringForward);
+  parsesTo('in 24 hours', '2026-03-08T20:00:00.000Z', LA, beforeSpringForward);
+});
+
+test('an hour repeated when clocks go back resolves to its first occurrence', () => {
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, LA).toISOString(), '2026-11-01T08:30:00.000Z');
+});
+
+test('end of week, month and relative weeks', () => {
+  parsesTo('eow', '2026-10-17T00:00:00.000Z');
+  parsesTo('end of month', '2026-11-01T06:59:00.000Z');
+  parsesTo('in 2 weeks', '2026-10-31T06:59:00.000Z');
+});
+
+test('unknown text and impossible dates are rejected', () => {
+  for (const input of ['', 'gibberish', 'feb 30', 'next blursday', '25pm', 'in 2 hours 5pm']) {
+    assert.equal(parseDeadline(input, LA, FRIDAY_NOON), null, input);
+  }
+});
+
+test('an unknown timezone falls back to UTC', () => {
+  assert.equal(isValidTimeZone('Not/AZone'), false);
+  parsesTo('next friday', '2026-10-23T23:59:00.000Z', 'Not/AZone');
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  lmsrPrice,
+  lmsrSubsidy,
+  lmsrMaxLiquidity,
+  lmsrOpeningShares,
+  quoteLmsrTrade,
+  lmsrCost,
+  lmsrPrices,
+  targetForOutcome,
+  quoteCategoricalTrade,
+  quoteSale
+} = require('../lmsr');
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+
+// Market rows as they come back from Postgres (numerics are strings)
+const binaryMarket = (q_yes = 0, q_no = 0, liquidity = 100) => ({ liquidity: String(liquidity), q_yes: String(q_yes), q_no: String(q_no), outcome_shares: null });
+const outcomeMarket = (quantities, liquidity = 100) => ({ liquidity: String(liquidity), outcome_shares: quantities.map(String) });
+
+// The yes/no cost function, C = b ln(e^(q_yes/b) + e^(q_no/b))
+const binaryCost = (q_yes, q_no, b) => b * Math.log(Math.exp(q_yes / b) + Math.exp(q_no / b));
+
+test('lmsrPrice is even with even quantities and only depends on the difference', () => {
+  close(lmsrPrice(0, 0, 100), 0.5);
+  close(lmsrPrice(140, 100, 50), lmsrPrice(40, 0, 50));
+  assert.ok(lmsrPrice(10, 0, 100) > 0.5);
+});
+
+test('a market opened at a probability prices at it, within the subsidy', () => {
+  const opening = lmsrOpeningShares(100, 0.8);
+  close(lmsrPrice(opening.q_yes, opening.q_no, 100), 0.8);
+  assert.equal(lmsrSubsidy(100, 2, 0.2), Math.ceil(100 * Math.log(5)));
+  assert.equal(lmsrSubsidy(100), Math.ceil(100 * Math.log(2)));
+  assert.ok(lmsrSubsidy(lmsrMaxLiquidity(100), 2) <= 100);
+});
+
+test('quoteLmsrTrade moves the price to the target when the budget allows', () => {
+  const quote = quoteLmsrTrade(binaryMarket(), 0.75, 100);
+  assert.equal(quote.side, 'yes');
+  close(quote.probability_before, 0.5);
+  close(quote.new_market_probability, 0.75);
+  assert.equal(quote.cost, Math.ceil(binaryCost(quote.shares, 0, 100) - binaryCost(0, 0, 100)));
+});
+
+test('quoteLmsrTrade stops at the budget and buys NO below the price', () => {
+  const quote = quoteLmsrTrade(binaryMarket(), 0.1, 5);
+  assert.equal(quote.side, 'no');
+  assert.equal(quote.cost, 5);
+  assert.ok(quote.new_market_probability < 0.5 && quote.new_market_probability > 0.1);
+  close(binaryCost(0, quote.shares, 100) - binaryCost(0, 0, 100), 5, 1e-6);
+});
+
+test('quoteLmsrTrade keeps the price inside the tradeable range', () => {
+  close(quoteLmsrTrade(binaryMarket(), 1, 1000).new_market_probability, 0.99);
+});
+
+test('quoteLmsrTrade buys nothing when the market is already at the target', () => {
+  const quote = quoteLmsrTrade(binaryMarket(), 0.5, 50);
+  assert.ok(quote.shares === 0 && quote.cost === 0);
+});
+
+test('lmsrCost of even quantities is the quantity plus b ln n', () => {
+  close(lmsrCost([0, 0], 100), 100 * Math.log(2));
+  close(lmsrCost([50, 50, 50], 100), 50 + 100 * Math.log(3));
+  close(lmsrCost([30, 10], 100), binaryCost(30, 10, 100));
+});
+
+test('lmsrCost stays finite for quantities far past b', () => {
+  close(lmsrCost([5000, 0], 10), 5000, 1e-6);
+});
+
+test('lmsrPrices sum to one, only depend on the differences and agree with the yes/no price', () => {
+  const prices = lmsrPrices([30, 0, -10], 50);
+  close(prices.reduce((sum, p) => sum + p, 0), 1);
+  assert.ok(prices[0] > prices[1] && prices[1] > prices[2]);
+  lmsrPrices([130, 100, 90], 50).forEach((p, i) => close(p, prices[i]));
+  close(lmsrPrices([40, 10], 100)[0], lmsrPrice(40, 10, 100));
+});
+
+test('targetForOutcome moves one outcome and keeps the others in proportion', () => {
+  const targets = targetForOutcome([0.5, 0.3, 0.2], 0, 0.8);
+  close(targets[0], 0.8);
+  close(targets[1] / targets[2], 1.5);
+  close(targets.reduce((sum, p) => sum + p, 0), 1);
+});
+
+test('quoteCategoricalTrade reaches the target prices without selling', () => {
+  const quote = quoteCategoricalTrade(outcomeMarket([0, 0, 0]), [0.6, 0.3, 0.1], 1000);
+  quote.prices_after.forEach((p, i) => close(p, [0.6, 0.3, 0.1][i]));
+  assert.ok(quote.shares.every(s => s >= -1e-9));
+});
+
+test('quoteCategoricalTrade spends no more than the budget', () => {
+  const quote = quoteCategoricalTrade(outcomeMarket([0, 0, 0]), [0.9, 0.05, 0.05], 10);
+  assert.equal(quote.cost, 10);
+  assert.ok(quote.prices_after[0] < 0.9);
+});
+
+test('quoteSale of a whole position returns what it cost, less rounding', () => {
+  const buy = quoteLmsrTrade(binaryMarket(), 0.7, 40);
+  const market = binaryMarket(buy.shares, 0);
+  const sale = quoteSale(market, { stake: buy.cost, shares_yes: String(buy.shares), shares_no: '0' }, 1);
+  assert.ok(sale.proceeds <= buy.cost && sale.proceeds >= buy.cost - 1);
+  assert.equal(sale.released, buy.cost);
+  assert.deepEqual(sale.remaining, [0, 0]);
+  close(sale.prices_after[0], 0.5);
+});
+
+test('quoteSale of part of a position keeps some stake locked', () => {
+  const sale = quoteSale(binaryMarket(10, 0), { stake: 1, shares_yes: '10', shares_no: '0' }, 0.5);
+  assert.equal(sale.released, 0);
+  close(sale.remaining[0], 5);
+});
+
+test('quoteSale sells outcome vectors too', () => {
+  const sale = quoteSale(outcomeMarket([20, 0, 0]), { stake: 10, outcome_shares: ['20', '0', '0'] }, 0.5);
+  assert.equal(sale.released, 5);
+  assert.deepEqual(sale.quantities_after, [10, 0, 0]);
+  assert.equal(sale.proceeds, Math.floor(lmsrCost([20, 0, 0], 100) - lmsrCost([10, 0, 0], 100) + 1e-9));
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DAY_MS,
+  parseScalarValue,
+  formatScalarValue,
+  scalarBucketEdges,
+  buildScalarBuckets,
+  scalarBucketForValue,
+  scalarForecastToBuckets,
+  scalarQuantile
+} = require('../scalar');
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+
+// Markets rows as they come back from Postgres
+const scalarMarket = (min, max, count, unit = null) => ({
+  scalar_min: String(min),
+  scalar_max: String(max),
+  scalar_unit: unit,
+  outcomes: buildScalarBuckets(min, max, count, unit)
+});
+const numeric = scalarMarket(0, 100, 10);
+const dates = scalarMarket(Date.parse('2026-01-01'), Date.parse('2026-01-10'), 5, 'date');
+const day = (iso) => parseScalarValue(iso, 'date');
+
+test('values are parsed as numbers or UTC-midnight dates', () => {
+  assert.equal(parseScalarValue('$1,250', null), 1250);
+  assert.ok(isNaN(parseScalarValue('', null)));
+  assert.equal(day('2026-01-03'), Date.UTC(2026, 0, 3));
+  assert.ok(isNaN(day('Jan 3')));
+  assert.equal(formatScalarValue(Date.UTC(2026, 0, 3), 'date'), '2026-01-03');
+  assert.equal(formatScalarValue(12.345, null), '12.3');
+});
+
+test('numeric buckets split the range evenly', () => {
+  assert.deepEqual(scalarBucketEdges(0, 100, 4, null), [0, 25, 50, 75, 100]);
+  assert.deepEqual(numeric.outcomes.slice(0, 2), ['0–10', '10–20']);
+});
+
+test('a value on a bucket edge belongs to the bucket above it, and the max to the last', () => {
+  assert.equal(scalarBucketForValue(numeric, 0), 0);
+  assert.equal(scalarBucketForValue(numeric, 9.999), 0);
+  assert.equal(scalarBucketForValue(numeric, 10), 1);
+  assert.equal(scalarBucketForValue(numeric, 50), 5);
+  assert.equal(scalarBucketForValue(numeric, 100), 9);
+});
+
+test('values outside the range clamp to the first or last bucket', () => {
+  assert.equal(scalarBucketForValue(numeric, -5), 0);
+  assert.equal(scalarBucketForValue(numeric, 1e9), 9);
+  assert.equal(scalarBucketForValue(dates, day('2025-12-31')), 0);
+  assert.equal(scalarBucketForValue(dates, day('2026-02-01')), 4);
+});
+
+test('date buckets are whole days and include the last day of the range', () => {
+  assert.deepEqual(dates.outcomes, ['2026-01-01–2026-01-02', '2026-01-03–2026-01-04', '2026-01-05–2026-01-06', '2026-01-07–2026-01-08', '2026-01-09–2026-01-10']);
+  assert.equal(scalarBucketForValue(dates, day('2026-01-02')), 0);
+  assert.equal(scalarBucketForValue(dates, day('2026-01-03')), 1);
+  assert.equal(scalarBucketForValue(dates, day('2026-01-10')), 4);
+  assert.deepEqual(scalarMarket(Date.parse('2026-01-01'), Date.parse('2026-01-03'), 3, 'date').outcomes, ['2026-01-01', '2026-01-02', '2026-01-03']);
+});
+
+test('an interval forecast becomes a distribution over the buckets that sums to 1', () => {
+  for (const [point, low, high] of [[50, 30, 70], [12, 10, 80], [95, 60, 99], [-20, -40, 0]]) {
+    const probabilities = scalarForecastToBuckets(numeric, point, low, high);
+    assert.equal(probabilities.length, 10);
+    close(probabilities.reduce((sum, p) => sum + p, 0), 1);
+    assert.ok(probabilities.every(p => p >= 0));
+  }
+});
+
+test('the distribution peaks at the estimate, puts ~80% inside the interval and follows lopsided intervals', () => {
+  const symmetric = scalarForecastToBuckets(numeric, 50, 30, 70);
+  symmetric.forEach((p, i) => close(p, symmetric[9 - i], 1e-6));
+  close(symmetric.slice(3, 7).reduce((sum, p) => sum + p, 0), 0.8, 0.01);
+
+  const skewed = scalarForecastToBuckets(numeric, 45, 35, 75);
+  assert.equal(skewed.indexOf(Math.max(...skewed)), 4);
+  assert.ok(skewed.slice(5).reduce((sum, p) => sum + p, 0) > skewed.slice(0, 4).reduce((sum, p) => sum + p, 0));
+});
+
+test('date forecasts spread over day buckets', () => {
+  const probabilities = scalarForecastToBuckets(dates, day('2026-01-04'), day('2026-01-03'), day('2026-01-06'));
+  close(probabilities.reduce((sum, p) => sum + p, 0), 1);
+  assert.equal(probabilities.indexOf(Math.max(...probabilities)), 1);
+});
+
+test('scalarQuantile interpolates inside buckets', () => {
+  const even = Array(10).fill(0.1);
+  close(scalarQuantile(numeric, even, 0.5), 50);
+  close(scalarQuantile(numeric, even, 0.25), 25);
+  close(scalarQuantile(dates, [0, 1, 0, 0, 0], 0.5), Date.UTC(2026, 0, 3) + DAY_MS);
+});
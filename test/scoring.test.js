@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SCORING_RULES, calculateProfit } = require('../scoring');
+
+const RULES = Object.entries(SCORING_RULES);
+
+// Expected raw score of reporting `reported` when the event happens with probability `truth`
+const expectedScore = (rule, reported, truth) => truth * rule.score(reported) + (1 - truth) * rule.score(1 - reported);
+
+test('a 50% forecast breaks even under every rule', () => {
+  for (const [name, rule] of RULES) {
+    assert.equal(calculateProfit(100, 0.5, true, rule), 0, name);
+    assert.equal(calculateProfit(100, 0.5, false, rule), 0, name);
+  }
+});
+
+test('the most confident wrong forecast loses exactly the stake, and no more', () => {
+  for (const [name, rule] of RULES) {
+    assert.equal(calculateProfit(100, 0.99, false, rule), -100, name);
+    assert.equal(calculateProfit(100, 1, false, rule), -100, name);
+    assert.equal(calculateProfit(100, 0, true, rule), -100, name);
+    assert.equal(calculateProfit(40, 0.01, true, rule), -40, name);
+  }
+});
+
+test('confident right forecasts win, but less than the stake', () => {
+  for (const [name, rule] of RULES) {
+    const profit = calculateProfit(100, 0.99, true, rule);
+    assert.ok(profit > 0 && profit < 100, `${name}: ${profit}`);
+    assert.ok(calculateProfit(100, 0.7, true, rule) < profit, name);
+  }
+});
+
+test('payouts are symmetric in yes and no', () => {
+  for (const [name, rule] of RULES) {
+    assert.equal(calculateProfit(100, 0.8, true, rule), calculateProfit(100, 0.2, false, rule), name);
+  }
+});
+
+test('every rule is proper: the expected score peaks at the true probability', () => {
+  const grid = Array.from({ length: 99 }, (_, i) => (i + 1) / 100);
+  for (const [name, rule] of RULES) {
+    for (const truth of [0.1, 0.3, 0.5, 0.65, 0.9]) {
+      const best = grid.reduce((a, b) => expectedScore(rule, b, truth) > expectedScore(rule, a, truth) ? b : a);
+      assert.ok(Math.abs(best - truth) < 1e-9, `${name} at ${truth} peaked at ${best}`);
+    }
+  }
+});